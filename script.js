@@ -1,44 +1,62 @@
 class Particle {
-    constructor(x, y, color, colorPaired) {
+    constructor(x, y, color, colorPaired, direction = 1, t0 = 0.0) {
         this.x = x;
         this.y = y;
+        this.t = t0;
+        this.initialX = x;
+        this.initialY = y;
+        this.direction = direction; // 1 integrates forward in time, -1 backward
         this.color = color;
         this.colorPaired = colorPaired;
-        this.trajectory = [{x: x, y: y, t: 0.0}];
+        this.trajectory = [{x: x, y: y, t: t0}];
         this.active = true;
         this.id = Date.now() + Math.random(); // Unique ID for each particle
+        this.label = ''; // Series name in the time-series chart, e.g. "P3"
+        this.groupId = null; // Set for particles seeded together by a batch tool
+        this.discrete = false; // Orbit of a map: t counts iterations and points are not joined
+        this.startTime = t0;
+        
+        // Integration time reached by the animation so far and the step the
+        // adaptive integrator wants to try next
+        this.targetTime = t0;
+        this.stepSize = null;
     }
     
-    update(dt, evaluator) {
-        if (!this.active) return;
-        
-        // Runge-Kutta 4th order integration
-        const k1 = evaluator(this.x, this.y);
-        const k2 = evaluator(this.x + k1.dx * dt / 2, this.y + k1.dy * dt / 2);
-        const k3 = evaluator(this.x + k2.dx * dt / 2, this.y + k2.dy * dt / 2);
-        const k4 = evaluator(this.x + k3.dx * dt, this.y + k3.dy * dt);
-        
-        const dx = (k1.dx + 2 * k2.dx + 2 * k3.dx + k4.dx) / 6;
-        const dy = (k1.dy + 2 * k2.dy + 2 * k3.dy + k4.dy) / 6;
-        
-        this.x += dx * dt;
-        this.y += dy * dt;
-        
-        // Add to trajectory
-        this.trajectory.push({x: this.x, y: this.y, t: this.trajectory.length * dt});
-        
-        // Check if particle is still in bounds
-        if (this.x < this.simulationXMin || this.x > this.simulationXMax || this.y < this.simulationYMin || this.y > this.simulationYMax) {
-            this.active = false;
-        }
+    getState() {
+        // Plain state for the solver (see advanceParticle in solver.js)
+        return {
+            x: this.x,
+            y: this.y,
+            t: this.t,
+            direction: this.direction,
+            targetTime: this.targetTime,
+            stepSize: this.stepSize,
+            startTime: this.startTime,
+            active: this.active
+        };
+    }
+    
+    applyUpdate({ state, points }) {
+        this.x = state.x;
+        this.y = state.y;
+        this.t = state.t;
+        this.targetTime = state.targetTime;
+        this.stepSize = state.stepSize;
+        this.active = state.active;
+        this.trajectory.push(...points);
     }
     
     draw(ctx, worldToCanvasX, worldToCanvasY) {
+        if (this.discrete) {
+            this.drawOrbit(ctx, worldToCanvasX, worldToCanvasY);
+            return;
+        }
         if (this.trajectory.length < 2) return;
         
-        // Draw trajectory
+        // Draw trajectory, dashed when integrated backward in time
         ctx.strokeStyle = this.color;
         ctx.lineWidth = 2;
+        ctx.setLineDash(this.direction < 0 ? [6, 4] : []);
         ctx.beginPath();
         
         const startX = worldToCanvasX(this.trajectory[0].x);
@@ -52,17 +70,547 @@ class Particle {
         }
         
         ctx.stroke();
+        ctx.setLineDash([]);
         
-        // Draw current particle position
+        // Draw current particle position, hollow when moving backward
         if (this.active) {
-            ctx.fillStyle = this.color;
+            ctx.fillStyle = this.direction < 0 ? 'white' : this.color;
             ctx.beginPath();
             const canvasX = worldToCanvasX(this.x);
             const canvasY = worldToCanvasY(this.y);
             ctx.arc(canvasX, canvasY, 4, 0, 2 * Math.PI);
             ctx.fill();
+            if (this.direction < 0) ctx.stroke();
+        }
+    }
+    
+    drawOrbit(ctx, worldToCanvasX, worldToCanvasY) {
+        // Iterates of a map as a point cloud, with the latest iterate marked
+        ctx.fillStyle = this.color;
+        this.trajectory.forEach(point => {
+            ctx.fillRect(worldToCanvasX(point.x) - 1.5, worldToCanvasY(point.y) - 1.5, 3, 3);
+        });
+        
+        if (this.active) {
+            ctx.beginPath();
+            ctx.arc(worldToCanvasX(this.x), worldToCanvasY(this.y), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+}
+
+// Colormaps as evenly spaced RGB anchor colors, interpolated linearly
+const COLORMAPS = {
+    viridis: [
+        [68, 1, 84], [72, 40, 120], [62, 74, 137], [49, 104, 142], [38, 130, 142],
+        [31, 158, 137], [53, 183, 121], [109, 205, 89], [180, 222, 44], [253, 231, 37]
+    ],
+    plasma: [
+        [13, 8, 135], [65, 4, 157], [106, 0, 168], [143, 13, 164], [177, 42, 144],
+        [204, 71, 120], [225, 100, 98], [242, 132, 75], [252, 166, 54], [240, 249, 33]
+    ],
+    diverging: [
+        [59, 76, 192], [98, 130, 234], [141, 176, 254], [184, 208, 249], [221, 221, 221],
+        [245, 196, 173], [244, 154, 123], [222, 96, 77], [180, 4, 38]
+    ]
+};
+
+// Names typeset as Greek letters in the equation display
+const GREEK_LETTERS = [
+    'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta',
+    'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'pi', 'varpi', 'rho', 'varrho', 'sigma', 'varsigma',
+    'tau', 'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega',
+    'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Upsilon', 'Phi', 'Psi', 'Omega'
+];
+
+// Built-in presets by category. Each loads its equations, parameters and a view
+// framing the interesting dynamics; observables are optional, type 'map' marks
+// discrete-time maps and coordinates 'polar' flows given as dr/dt and dtheta/dt.
+const PRESET_CATALOG = [
+    {
+        category: 'Oscillators',
+        presets: [
+            {
+                id: 'van-der-pol',
+                name: 'Van der Pol Oscillator',
+                description: 'Relaxation oscillator with a stable limit cycle for mu > 0.',
+                dxdt: 'y',
+                dydt: 'mu * (1 - x^2) * y - x',
+                parameters: { mu: 1 },
+                view: { xMin: -4, xMax: 4, yMin: -4, yMax: 4 }
+            },
+            {
+                id: 'pendulum',
+                name: 'Damped Pendulum',
+                description: 'Spirals into the rest states at multiples of 2π; E is the mechanical energy.',
+                dxdt: 'y',
+                dydt: '-sin(x) - gamma * y',
+                parameters: { gamma: 0.1 },
+                observables: 'E = y^2 / 2 - cos(x)',
+                view: { xMin: -8, xMax: 8, yMin: -4, yMax: 4 }
+            },
+            {
+                id: 'duffing',
+                name: 'Duffing Oscillator (double well)',
+                description: 'Damped motion in a double-well potential with two stable equilibria.',
+                dxdt: 'y',
+                dydt: '-delta * y - alpha * x - beta * x^3',
+                parameters: { alpha: -1, beta: 1, delta: 0.2 },
+                observables: 'E = y^2 / 2 + alpha * x^2 / 2 + beta * x^4 / 4',
+                view: { xMin: -2.5, xMax: 2.5, yMin: -2, yMax: 2 }
+            },
+            {
+                id: 'fitzhugh-nagumo',
+                name: 'FitzHugh–Nagumo model',
+                description: 'Excitable neuron model that fires periodically for this current delta.',
+                dxdt: 'x - x^3 - y + delta',
+                dydt: 'gamma * x + gamma * alpha - gamma * beta * y',
+                parameters: { alpha: 0.7, beta: 0.8, gamma: 0.08, delta: 0.6 },
+                view: { xMin: -2.5, xMax: 2.5, yMin: -1, yMax: 2.5 }
+            }
+        ]
+    },
+    {
+        category: 'Forced Oscillators',
+        presets: [
+            {
+                id: 'forced-duffing',
+                name: 'Forced Duffing Oscillator',
+                description: 'Periodically driven double well; the field changes with t.',
+                dxdt: 'y',
+                dydt: '-delta * y - alpha * x - beta * x^3 + gamma * cos(omega * t)',
+                parameters: { alpha: -1, beta: 1, delta: 0.3, gamma: 0.5, omega: 1.2 },
+                view: { xMin: -2.5, xMax: 2.5, yMin: -2.5, yMax: 2.5 }
+            },
+            {
+                id: 'forced-pendulum',
+                name: 'Forced Pendulum',
+                description: 'Damped pendulum driven periodically; chaotic for these values.',
+                dxdt: 'y',
+                dydt: '-sin(x) - b * y + A * cos(omega * t)',
+                parameters: { b: 0.5, A: 1.2, omega: 0.6667 },
+                view: { xMin: -8, xMax: 8, yMin: -4, yMax: 4 }
+            }
+        ]
+    },
+    {
+        category: 'Population and Epidemics',
+        presets: [
+            {
+                id: 'lotka-volterra',
+                name: 'Lotka-Volterra',
+                description: 'Predator-prey cycles around a center; V is conserved along orbits.',
+                dxdt: 'alpha * x - beta * x * y',
+                dydt: 'delta * x * y - gamma * y',
+                parameters: { alpha: 1, beta: 1, delta: 1, gamma: 1 },
+                observables: 'V = delta * x - gamma * log(x) + beta * y - alpha * log(y)',
+                view: { xMin: -0.5, xMax: 4, yMin: -0.5, yMax: 4 }
+            },
+            {
+                id: 'competing-species',
+                name: 'Competing Species',
+                description: 'Two species competing for a resource; one of them dies out depending on the start.',
+                dxdt: 'x * (r1 - a11 * x - a12 * y)',
+                dydt: 'y * (r2 - a21 * x - a22 * y)',
+                parameters: { r1: 3, a11: 1, a12: 2, r2: 2, a21: 1, a22: 1 },
+                view: { xMin: -0.5, xMax: 3.5, yMin: -0.5, yMax: 3.5 }
+            },
+            {
+                id: 'sir',
+                name: 'SIR Epidemic',
+                description: 'Susceptible fraction x and infected fraction y; C is conserved along orbits.',
+                dxdt: '-beta * x * y',
+                dydt: 'beta * x * y - gamma * y',
+                parameters: { beta: 3, gamma: 1 },
+                observables: 'C = x + y - gamma / beta * log(x)',
+                view: { xMin: -0.05, xMax: 1.05, yMin: -0.05, yMax: 1.05 }
+            }
+        ]
+    },
+    {
+        category: 'Chemical Kinetics',
+        presets: [
+            {
+                id: 'brusselator',
+                name: 'Brusselator',
+                description: 'Autocatalytic reaction with a limit cycle when b > 1 + a^2.',
+                dxdt: 'a - (b + 1) * x + x^2 * y',
+                dydt: 'b * x - x^2 * y',
+                parameters: { a: 1, b: 3 },
+                view: { xMin: -0.5, xMax: 4.5, yMin: -0.5, yMax: 5.5 }
+            },
+            {
+                id: 'selkov',
+                name: 'Sel\'kov Glycolysis',
+                description: 'Glycolytic oscillations: ADP x and F6P y settle onto a limit cycle.',
+                dxdt: '-x + a * y + x^2 * y',
+                dydt: 'b - a * y - x^2 * y',
+                parameters: { a: 0.08, b: 0.6 },
+                view: { xMin: -0.2, xMax: 3, yMin: -0.2, yMax: 3 }
+            }
+        ]
+    },
+    {
+        category: 'Linear Systems and Normal Forms',
+        presets: [
+            {
+                id: 'spiral',
+                name: 'Spiral Sink',
+                description: 'Linear focus; sigma < 0 attracts, sigma > 0 repels.',
+                dxdt: 'sigma * x - y',
+                dydt: 'x + sigma * y',
+                parameters: { sigma: -0.1 },
+                view: { xMin: -5, xMax: 5, yMin: -5, yMax: 5 }
+            },
+            {
+                id: 'linear',
+                name: 'Linear System',
+                description: 'General 2×2 linear system; vary a, b, c, d to move through the trace-determinant plane.',
+                dxdt: 'a * x + b * y',
+                dydt: 'c * x + d * y',
+                parameters: { a: 1, b: 1, c: 4, d: -2 },
+                view: { xMin: -5, xMax: 5, yMin: -5, yMax: 5 }
+            },
+            {
+                id: 'hopf',
+                name: 'Hopf Normal Form',
+                description: 'Supercritical Hopf bifurcation: a limit cycle of radius √mu appears for mu > 0.',
+                dxdt: 'mu * x - omega * y - x * (x^2 + y^2)',
+                dydt: 'omega * x + mu * y - y * (x^2 + y^2)',
+                parameters: { mu: 0.5, omega: 1 },
+                view: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 }
+            },
+            {
+                id: 'hopf-polar',
+                name: 'Hopf Normal Form (polar)',
+                description: 'The Hopf normal form in polar coordinates: the origin loses stability at mu = 0 to a limit cycle of radius √mu.',
+                coordinates: 'polar',
+                dxdt: 'mu * r - r^3',
+                dydt: 'omega',
+                parameters: { mu: 0.5, omega: 1 },
+                view: { xMin: -2, xMax: 2, yMin: -2, yMax: 2 }
+            },
+            {
+                id: 'snic',
+                name: 'Saddle-Node on a Circle (polar)',
+                description: 'For mu < 1 a saddle and a node sit on the attracting unit circle; past mu = 1 they merge and the circle becomes a limit cycle.',
+                coordinates: 'polar',
+                dxdt: 'r * (1 - r^2)',
+                dydt: 'mu - sin(theta)',
+                parameters: { mu: 0.9 },
+                view: { xMin: -1.6, xMax: 1.6, yMin: -1.6, yMax: 1.6 }
+            },
+            {
+                id: 'concentric-cycles',
+                name: 'Concentric Limit Cycles (polar)',
+                description: 'The circles r = 1, 2, 3 are limit cycles, alternately stable and unstable.',
+                coordinates: 'polar',
+                dxdt: 'r * sin(pi * r)',
+                dydt: '1',
+                parameters: {},
+                view: { xMin: -3.5, xMax: 3.5, yMin: -3.5, yMax: 3.5 }
+            }
+        ]
+    },
+    {
+        category: 'Discrete Maps',
+        presets: [
+            {
+                id: 'henon',
+                name: 'Hénon Map',
+                description: 'Dissipative map with a strange attractor for a = 1.4, b = 0.3; seed points near the origin.',
+                type: 'map',
+                dxdt: '1 - a * x^2 + y',
+                dydt: 'b * x',
+                parameters: { a: 1.4, b: 0.3 },
+                view: { xMin: -1.5, xMax: 1.5, yMin: -0.45, yMax: 0.45 }
+            },
+            {
+                id: 'lozi',
+                name: 'Lozi Map',
+                description: 'Piecewise-linear relative of the Hénon map with a strange attractor.',
+                type: 'map',
+                dxdt: '1 - a * abs(x) + y',
+                dydt: 'b * x',
+                parameters: { a: 1.7, b: 0.5 },
+                view: { xMin: -1.5, xMax: 1.5, yMin: -0.8, yMax: 0.8 }
+            },
+            {
+                id: 'standard-map',
+                name: 'Standard Map (Chirikov)',
+                description: 'Area-preserving kicked rotor on the torus: islands around elliptic points in a chaotic sea.',
+                type: 'map',
+                dxdt: 'mod(x + y + K * sin(x) + pi, 2 * pi) - pi',
+                dydt: 'mod(y + K * sin(x) + pi, 2 * pi) - pi',
+                parameters: { K: 0.9 },
+                view: { xMin: -3.3, xMax: 3.3, yMin: -3.3, yMax: 3.3 }
+            },
+            {
+                id: 'delayed-logistic',
+                name: 'Delayed Logistic Map',
+                description: 'Logistic growth with a one-step delay; past r = 2 the fixed point gives way to an invariant circle.',
+                type: 'map',
+                dxdt: 'r * x * (1 - y)',
+                dydt: 'x',
+                parameters: { r: 2.1 },
+                view: { xMin: -0.1, xMax: 1.1, yMin: -0.1, yMax: 1.1 }
+            }
+        ]
+    }
+];
+
+// Visualization settings stored with presets, as [control id, visualizer property]
+const PRESET_SETTINGS = [
+    ['field-render-mode', 'fieldRenderMode'],
+    ['grid-density', 'gridDensity'],
+    ['arrow-scale', 'arrowScale'],
+    ['arrow-color', 'arrowColor'],
+    ['arrow-coloring', 'arrowColoring'],
+    ['colormap', 'colormap'],
+    ['color-scale', 'colorScale'],
+    ['arrow-length', 'arrowLength'],
+    ['show-grid', 'showGrid'],
+    ['show-nullclines', 'showNullclines'],
+    ['nullcline-resolution', 'nullclineResolution'],
+    ['show-fixed-points', 'showFixedPoints'],
+    ['show-separatrices', 'showSeparatrices']
+];
+
+// Records the subset of the Canvas 2D API used by the visualizer as SVG
+// elements, so the regular drawing code can render a vector export.
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.path = '';
+        this.stateStack = [];
+        
+        // Drawing state mirrored from CanvasRenderingContext2D
+        this.strokeStyle = '#000';
+        this.fillStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.imageSmoothingEnabled = true;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.lineDash = [];
+    }
+    
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+    
+    static number(value) {
+        return Number(value.toFixed(2));
+    }
+    
+    save() {
+        this.stateStack.push({
+            strokeStyle: this.strokeStyle, fillStyle: this.fillStyle, lineWidth: this.lineWidth,
+            lineCap: this.lineCap, lineJoin: this.lineJoin, globalAlpha: this.globalAlpha,
+            imageSmoothingEnabled: this.imageSmoothingEnabled,
+            font: this.font, textAlign: this.textAlign, textBaseline: this.textBaseline, lineDash: this.lineDash
+        });
+    }
+    
+    restore() {
+        Object.assign(this, this.stateStack.pop() || {});
+    }
+    
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+    
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+    
+    measureText(text) {
+        // Rough estimate; only used for layout of labels
+        return { width: String(text).length * parseFloat(this.font) * 0.55 };
+    }
+    
+    // Transforms and clearing have no effect on the recorded document
+    clearRect() {}
+    setTransform() {}
+    scale() {}
+    
+    beginPath() {
+        this.path = '';
+        this.current = null;
+    }
+    
+    moveTo(x, y) {
+        this.path += `M${SvgContext.number(x)} ${SvgContext.number(y)}`;
+        this.current = { x, y };
+    }
+    
+    lineTo(x, y) {
+        this.path += this.current ? `L${SvgContext.number(x)} ${SvgContext.number(y)}` : `M${SvgContext.number(x)} ${SvgContext.number(y)}`;
+        this.current = { x, y };
+    }
+    
+    closePath() {
+        this.path += 'Z';
+    }
+    
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.path += `h${SvgContext.number(width)}v${SvgContext.number(height)}h${SvgContext.number(-width)}Z`;
+    }
+    
+    arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+        const n = SvgContext.number;
+        const start = { x: cx + radius * Math.cos(startAngle), y: cy + radius * Math.sin(startAngle) };
+        this.lineTo(start.x, start.y);
+        
+        let sweep = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+        const sweepFlag = anticlockwise ? 0 : 1;
+        if (sweep >= 2 * Math.PI) {
+            // Full circle as two half arcs
+            const opposite = { x: cx - radius * Math.cos(startAngle), y: cy - radius * Math.sin(startAngle) };
+            this.path += `A${n(radius)} ${n(radius)} 0 1 ${sweepFlag} ${n(opposite.x)} ${n(opposite.y)}`;
+            this.path += `A${n(radius)} ${n(radius)} 0 1 ${sweepFlag} ${n(start.x)} ${n(start.y)}`;
+            this.current = start;
+            return;
+        }
+        
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const end = { x: cx + radius * Math.cos(endAngle), y: cy + radius * Math.sin(endAngle) };
+        this.path += `A${n(radius)} ${n(radius)} 0 ${sweep > Math.PI ? 1 : 0} ${sweepFlag} ${n(end.x)} ${n(end.y)}`;
+        this.current = end;
+    }
+    
+    opacityAttribute() {
+        return this.globalAlpha < 1 ? ` opacity="${this.globalAlpha}"` : '';
+    }
+    
+    stroke() {
+        if (!this.path) return;
+        const dash = this.lineDash.length > 0 ? ` stroke-dasharray="${this.lineDash.join(' ')}"` : '';
+        this.elements.push(`<path d="${this.path}" fill="none" stroke="${SvgContext.escape(this.strokeStyle)}" stroke-width="${this.lineWidth}" stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}${this.opacityAttribute()}/>`);
+    }
+    
+    fill() {
+        if (!this.path) return;
+        this.elements.push(`<path d="${this.path}" fill="${SvgContext.escape(this.fillStyle)}" stroke="none"${this.opacityAttribute()}/>`);
+    }
+    
+    fillRect(x, y, width, height) {
+        const n = SvgContext.number;
+        this.elements.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" fill="${SvgContext.escape(this.fillStyle)}"${this.opacityAttribute()}/>`);
+    }
+    
+    strokeRect(x, y, width, height) {
+        const n = SvgContext.number;
+        this.elements.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" fill="none" stroke="${SvgContext.escape(this.strokeStyle)}" stroke-width="${this.lineWidth}"${this.opacityAttribute()}/>`);
+    }
+    
+    fillText(text, x, y) {
+        const anchors = { start: 'start', left: 'start', center: 'middle', end: 'end', right: 'end' };
+        const baselines = { top: 'hanging', middle: 'middle', bottom: 'text-after-edge', alphabetic: 'alphabetic', hanging: 'hanging' };
+        this.elements.push(`<text x="${SvgContext.number(x)}" y="${SvgContext.number(y)}" fill="${SvgContext.escape(this.fillStyle)}" style="font: ${SvgContext.escape(this.font)}" text-anchor="${anchors[this.textAlign] || 'start'}" dominant-baseline="${baselines[this.textBaseline] || 'alphabetic'}"${this.opacityAttribute()}>${SvgContext.escape(text)}</text>`);
+    }
+    
+    drawImage(image, x, y, width = image.width, height = image.height) {
+        // Raster layers (e.g. textures) are embedded as images
+        const n = SvgContext.number;
+        const rendering = this.imageSmoothingEnabled ? '' : ' image-rendering="pixelated"';
+        this.elements.push(`<image x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" href="${image.toDataURL()}" preserveAspectRatio="none"${rendering}${this.opacityAttribute()}/>`);
+    }
+    
+    toString() {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">
+${this.elements.join('\n')}
+</svg>
+`;
+    }
+}
+
+// Runs solver jobs (see solver.js) in a Web Worker, or in slices on the main
+// thread where workers are unavailable, e.g. when the page is opened from file://
+class SolverClient {
+    constructor(workerUrl) {
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.worker = null;
+        
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(workerUrl);
+                this.worker.onmessage = (event) => this.handleMessage(event.data);
+                this.worker.onerror = (event) => this.fallBackToMainThread(event.message);
+            } catch (error) {
+                console.warn('Solver worker unavailable, computing on the main thread:', error.message);
+            }
+        }
+    }
+    
+    run(type, payload, onProgress) {
+        // Returns the job; its promise resolves with the result unless cancelled
+        const job = { id: this.nextId++, type, payload, onProgress, cancelled: false };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        this.jobs.set(job.id, job);
+        this.start(job);
+        return job;
+    }
+    
+    start(job) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'run', id: job.id, job: job.type, payload: job.payload });
+            return;
+        }
+        runSolverJob(job.type, job.payload, {
+            isCancelled: () => job.cancelled,
+            onProgress: (progress) => this.handleMessage({ type: 'progress', id: job.id, progress }),
+            onDone: (result) => this.handleMessage({ type: 'result', id: job.id, result }),
+            onError: (error) => this.handleMessage({ type: 'error', id: job.id, message: error.message })
+        });
+    }
+    
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return; // Cancelled meanwhile
+        
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) job.onProgress(message.progress);
+                break;
+            case 'result':
+                this.jobs.delete(job.id);
+                job.resolve(message.result);
+                break;
+            case 'error':
+                this.jobs.delete(job.id);
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+    
+    cancel(job) {
+        if (!job || !this.jobs.has(job.id)) return;
+        job.cancelled = true;
+        this.jobs.delete(job.id);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: job.id });
         }
     }
+    
+    fallBackToMainThread(reason) {
+        // The worker failed to load (e.g. offline or blocked): rerun pending jobs here
+        console.warn('Solver worker failed, computing on the main thread:', reason);
+        this.worker.terminate();
+        this.worker = null;
+        this.jobs.forEach(job => this.start(job));
+    }
 }
 
 class DynamicalSystemVisualizer {
@@ -77,6 +625,19 @@ class DynamicalSystemVisualizer {
         this.echartsSeries = [];
         this.echartsOption = {
             animation: false,
+            // One legend entry per particle; clicking it toggles the particle's series
+            legend: {
+                type: 'scroll',
+                top: 0
+            },
+            grid: {
+                top: 50
+            },
+            // The axis pointer drives the position markers on the canvas
+            tooltip: {
+                trigger: 'axis',
+                showContent: false
+            },
             xAxis: {
                 type: 'value',
                 name: 'Time'
@@ -89,16 +650,68 @@ class DynamicalSystemVisualizer {
         };
         this.echartsOption && this.echarts.setOption(this.echartsOption);
         
-        // System equations
+        // Time-series panel: plotted quantity, reference point for distances,
+        // the time hovered on the chart and the particle clicked on the canvas
+        this.seriesMode = 'both'; // 'both', 'x', 'y', 'speed', 'distance' or 'observable-<index>'
+        this.distancePoint = { x: 0, y: 0 };
+        this.chartHoverTime = null;
+        this.highlightedParticle = null;
+        this.hiddenSeries = {};
+        // Speeds and observables along trajectories, evaluated at each point's own
+        // t; cleared when the equations, parameters or observables change
+        this.trajectoryValueCache = new WeakMap();
+        this.lastDriftUpdate = 0;
+        
+        // User expressions evaluated along trajectories: { name, expression, compiled }
+        this.observables = [];
+        
+        // Bifurcation diagram chart, shown once a diagram has been computed
+        this.bifurcationContainer = document.getElementById('bifurcation-container');
+        this.bifurcationChart = echarts.init(this.bifurcationContainer);
+        this.bifurcationJob = null;
+        this.bifurcationResult = null;
+        
+        // System equations; the parsed trees are kept for the LaTeX display.
+        // A 'map' gives x_{n+1} and y_{n+1} instead of a 'flow's dx/dt and dy/dt;
+        // its field (dxdt, dydt and the Jacobian) is the displacement f(p) - p.
+        // Flows may be entered in 'polar' coordinates as dr/dt and dtheta/dt, which
+        // are converted to the Cartesian field
+        this.systemType = 'flow';
+        this.coordinates = 'cartesian';
+        this.equationNodes = null;
+        this.latexNumericValues = false;
+        // Expressions whose domain warnings follow the view, by input id
+        this.domainChecks = {};
+        this.domainCheckTimer = null;
         this.dxdt = null;
         this.dydt = null;
+        this.jacobian = null;
         this.parameters = {};
+        this.parameterRanges = this.loadParameterRanges(); // Slider min/max/step per parameter name
+        
+        // Saved presets and the one being edited in the preset library
+        this.userPresets = this.loadUserPresets();
+        this.editingPresetId = null;
         
         // View parameters
         this.xMin = -5;
         this.xMax = 5;
         this.yMin = -5;
         this.yMax = 5;
+
+        // Set simulation range to 3x the view range
+        this.simulationXMin = 2*this.xMin - this.xMax;
+        this.simulationXMax = 2*this.xMax - this.xMin;
+        this.simulationYMin = 2*this.yMin - this.yMax;
+        this.simulationYMax = 2*this.yMax - this.yMin;
+
+        // View navigation: back/forward stacks of {xMin, xMax, yMin, yMax},
+        // the active drag (pan or box zoom) and wheel gesture coalescing
+        this.viewHistory = [];
+        this.viewFuture = [];
+        this.dragState = null;
+        this.suppressClick = false;
+        this.lastWheelTime = 0;
         
         // Visualization parameters
         this.gridDensity = 20;
@@ -106,12 +719,58 @@ class DynamicalSystemVisualizer {
         this.arrowColor = '#3498db';
         this.showGrid = true;
         this.showNullclines = false;
+        this.nullclineResolution = 150;
+        this.showFixedPoints = true;
+        this.showSeparatrices = false;
+        this.fieldRenderMode = 'arrows'; // 'arrows', 'streamlines' or 'lic'
+        this.arrowColoring = 'uniform'; // 'uniform' or 'speed'
+        this.colormap = 'viridis';
+        this.colorScale = 'linear'; // 'linear' or 'log'
+        this.arrowLength = 'normalized'; // 'normalized', 'linear', 'log' or 'clamped'
         
         // Caching system
         this.recalculateFlowField = true;
         this.recalculateNullclines = true;
+        this.recalculateFixedPoints = true;
+        this.recalculateStreamlines = true;
+        this.recalculateLic = true;
+        this.recalculateSeparatrices = true;
         this.flowFieldCache = null;
         this.nullclinesCache = null;
+        this.fixedPointsCache = null;
+        this.streamlinesCache = null;
+        this.licCache = null;
+        this.separatricesCache = null;
+        
+        // Field sampling, nullcline contouring and particle integration run as
+        // solver jobs; at most one job of each kind is in flight
+        this.solver = new SolverClient('solver-worker.js');
+        this.systemSpec = null;
+        this.fieldJob = null;
+        this.nullclinesJob = null;
+        this.integrationJob = null;
+        this.computeProgress = {};
+        this.computeStatus = document.getElementById('compute-status');
+        
+        // Converged periodic orbit, highlighted until cleared or the system changes
+        this.periodicOrbit = null;
+        
+        // Basins of attraction: the latest (possibly coarse) raster and the
+        // progressive run refining it
+        this.showBasins = true;
+        this.basins = null;
+        this.basinRun = null;
+        this.basinColors = [
+            '#e74c3c', '#3498db', '#2ecc71', '#f39c12',
+            '#9b59b6', '#1abc9c', '#e67e22', '#d91e63'
+        ];
+        this.basinDivergedColor = '#343a40';
+        this.basinUnconvergedColor = '#ced4da';
+        
+        // Fixed point interaction
+        this.hoveredFixedPoint = null;
+        this.pinnedFixedPoint = null;
+        this.fixedPointInfo = document.getElementById('fixed-point-info');
         
         // Particle system
         this.particles = [];
@@ -128,14 +787,39 @@ class DynamicalSystemVisualizer {
             '#cddc39', '#00a8ff', '#ff7f50', '#b2ff59'
         ];
         this.colorIndex = 0;
+        this.nextParticleNumber = 1;
         this.simulationRunning = false;
         this.simulationSpeed = 0.05; // Time step for integration
+        this.particleDirection = 'forward'; // 'forward', 'backward' or 'both'
+        this.seedTool = 'single'; // 'single', 'line', 'grid' or 'circle'
+        this.seedCount = 10;
+        this.particleGroups = [];
+        this.nextGroupId = 1;
+        this.integrator = 'rk4';
+        this.absoluteTolerance = 1e-6;
+        this.relativeTolerance = 1e-6;
+        
+        // Map orbits: iterations per animation frame, iterations per orbit and
+        // the longest period searched for periodic points
+        this.iterationsPerFrame = 10;
+        this.maxIterations = 1000;
+        this.maxPeriod = 4;
+        
+        // Time for non-autonomous systems: the simulation clock advances one step
+        // size per frame, the field and nullclines are drawn as a snapshot at fieldTime
+        this.timeDependent = false;
+        this.simulationTime = 0.0;
+        this.fieldTime = 0.0;
+        this.followSimulationTime = true;
         
         // Canvas parameters
         this.canvasWidth = this.canvas.width;
         this.canvasHeight = this.canvas.height;
         
         this.setupEventListeners();
+        this.updatePresetLibrary();
+        this.updateIntegratorControls();
+        this.updateViewHistoryButtons();
         // Don't automatically parse equations - wait for user to click update
         // Hide equation display initially
         document.getElementById('equation-display').classList.add('hidden');
@@ -143,8 +827,19 @@ class DynamicalSystemVisualizer {
     }
 
     triggerRecalculateFlowFieldNullclines() {
+        // The system or view changed: results of running jobs are obsolete
+        this.cancelFieldJobs();
+        this.invalidateCaches();
+        this.scheduleDomainWarnings();
+    }
+    
+    invalidateCaches() {
         this.recalculateFlowField = true;
         this.recalculateNullclines = true;
+        this.recalculateFixedPoints = true;
+        this.recalculateStreamlines = true;
+        this.recalculateLic = true;
+        this.recalculateSeparatrices = true;
     }
     
     setupEventListeners() {
@@ -177,6 +872,20 @@ class DynamicalSystemVisualizer {
             this.draw();
         });
         
+        // Speed coloring and arrow length; cached magnitudes make these redraw-only
+        [['arrow-coloring', 'arrowColoring'], ['colormap', 'colormap'], ['color-scale', 'colorScale'], ['arrow-length', 'arrowLength']].forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this[property] = e.target.value;
+                this.draw();
+            });
+        });
+        
+        // Field rendering mode
+        document.getElementById('field-render-mode').addEventListener('change', (e) => {
+            this.fieldRenderMode = e.target.value;
+            this.draw();
+        });
+        
         // Show grid
         document.getElementById('show-grid').addEventListener('change', (e) => {
             this.showGrid = e.target.checked;
@@ -189,9 +898,55 @@ class DynamicalSystemVisualizer {
             this.draw();
         });
         
+        // Nullcline resolution
+        document.getElementById('nullcline-resolution').addEventListener('input', (e) => {
+            this.nullclineResolution = parseInt(e.target.value);
+            document.getElementById('nullcline-resolution-value').textContent = this.nullclineResolution;
+            this.recalculateNullclines = true;
+            this.draw();
+        });
+        
+        // Show fixed points
+        document.getElementById('show-fixed-points').addEventListener('change', (e) => {
+            this.showFixedPoints = e.target.checked;
+            this.pinnedFixedPoint = null;
+            this.hoveredFixedPoint = null;
+            this.updateFixedPointInfo();
+            this.draw();
+        });
+        
+        // Field time snapshot; scrubbing stops following the simulation clock
+        document.getElementById('field-time').addEventListener('input', (e) => {
+            this.followSimulationTime = false;
+            document.getElementById('follow-time').checked = false;
+            this.setFieldTime(parseFloat(e.target.value));
+            this.draw();
+        });
+        
+        document.getElementById('follow-time').addEventListener('change', (e) => {
+            this.followSimulationTime = e.target.checked;
+            if (this.followSimulationTime) {
+                this.setFieldTime(this.simulationTime);
+            }
+            this.draw();
+        });
+        
+        // Typeset parameters as symbols or as their values
+        document.getElementById('latex-numeric').addEventListener('change', (e) => {
+            this.latexNumericValues = e.target.checked;
+            this.renderEquations();
+        });
+        
+        // Show separatrices
+        document.getElementById('show-separatrices').addEventListener('change', (e) => {
+            this.showSeparatrices = e.target.checked;
+            this.draw();
+        });
+        
         // View range controls
         ['x-min', 'x-max', 'y-min', 'y-max'].forEach(id => {
             document.getElementById(id).addEventListener('change', () => {
+                this.pushViewHistory();
                 this.updateViewRange();
                 this.triggerRecalculateFlowFieldNullclines();
                 this.draw();
@@ -203,88 +958,647 @@ class DynamicalSystemVisualizer {
             this.resetView();
         });
         
+        // View history
+        document.getElementById('view-back').addEventListener('click', () => {
+            this.navigateViewHistory(-1);
+        });
+        
+        document.getElementById('view-forward').addEventListener('click', () => {
+            this.navigateViewHistory(1);
+        });
+        
+        // Wheel zoom centered on the cursor
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            const factor = Math.exp(e.deltaY * 0.0015);
+            this.zoomAt(this.canvasToWorldX(e.clientX - rect.left), this.canvasToWorldY(e.clientY - rect.top), factor);
+        }, { passive: false });
+        
+        // Drag to pan (or seed with a batch tool), shift + drag to zoom into a box
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            const rect = this.canvas.getBoundingClientRect();
+            let mode = this.seedTool === 'single' ? 'pan' : 'seed';
+            if (e.shiftKey) mode = 'box';
+            this.dragState = {
+                mode,
+                startX: e.clientX - rect.left,
+                startY: e.clientY - rect.top,
+                currentX: e.clientX - rect.left,
+                currentY: e.clientY - rect.top,
+                startView: this.getView(),
+                moved: false
+            };
+        });
+        
+        window.addEventListener('mousemove', (e) => {
+            if (!this.dragState) return;
+            this.updateDrag(e);
+        });
+        
+        window.addEventListener('mouseup', (e) => {
+            if (!this.dragState) return;
+            this.finishDrag(e);
+        });
+        
         // Presets
         document.getElementById('preset-select').addEventListener('change', (e) => {
             this.loadPreset(e.target.value);
         });
         
+        // Preset library
+        document.getElementById('save-preset').addEventListener('click', () => {
+            this.saveCurrentAsPreset();
+        });
+        
+        document.getElementById('cancel-preset-edit').addEventListener('click', () => {
+            this.finishPresetEdit();
+            this.setPresetStatus('Edit cancelled', false);
+        });
+        
+        document.getElementById('user-presets').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const { action, id } = button.dataset;
+            if (action === 'load') {
+                document.getElementById('preset-select').value = `user:${id}`;
+                this.loadPreset(`user:${id}`);
+            } else if (action === 'edit') {
+                this.editUserPreset(id);
+            } else if (action === 'delete') {
+                this.deleteUserPreset(id);
+            }
+        });
+        
+        document.getElementById('export-presets').addEventListener('click', () => {
+            this.exportUserPresets();
+        });
+        
+        document.getElementById('import-presets').addEventListener('click', () => {
+            document.getElementById('import-presets-file').click();
+        });
+        
+        document.getElementById('import-presets-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importUserPresets(file);
+            e.target.value = '';
+        });
+        
         // Parameter validation on input
         document.getElementById('parameters').addEventListener('input', (e) => {
             this.validateParameters(e.target.value);
+            this.updateEquationDiagnostics();
         });
         
-        // Particle controls
-        document.getElementById('clear-particles').addEventListener('click', () => {
-            this.clearParticles();
+        // The equation labels and the names they may use follow the system type
+        // and coordinates; both take effect on update
+        ['system-type', 'coordinate-system'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateEquationLabels();
+                this.updateEquationDiagnostics();
+            });
         });
         
-        document.getElementById('clear-trajectories').addEventListener('click', () => {
-            this.clearTrajectories();
+        // Equations are checked as they are typed
+        ['dx-dt', 'dy-dt'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateEquationDiagnostics();
+            });
+            document.getElementById(`${id}-diagnostics`).addEventListener('click', (e) => {
+                const button = e.target.closest('[data-add-parameters]');
+                if (button) this.addParametersFromDiagnostics(button.dataset.addParameters.split(','));
+            });
         });
         
-        document.getElementById('reset-all').addEventListener('click', () => {
-            this.resetAll();
+        // Integration settings
+        document.getElementById('integrator').addEventListener('change', (e) => {
+            this.integrator = e.target.value;
+            this.updateIntegratorControls();
         });
         
-        // Canvas click to add particles
-        this.canvas.addEventListener('click', (e) => {
-            this.addParticleAtClick(e);
+        [['step-size', 'simulationSpeed'], ['absolute-tolerance', 'absoluteTolerance'], ['relative-tolerance', 'relativeTolerance']].forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value) && value > 0) {
+                    this[property] = value;
+                } else {
+                    e.target.value = this[property];
+                }
+            });
         });
         
-        // Mouse coordinates
-        this.canvas.addEventListener('mousemove', (e) => {
-            const rect = this.canvas.getBoundingClientRect();
-            const canvasX = e.clientX - rect.left;
-            const canvasY = e.clientY - rect.top;
-            const worldX = this.canvasToWorldX(canvasX);
-            const worldY = this.canvasToWorldY(canvasY);
-            
-            document.getElementById('mouse-coordinates').textContent = 
-                `x: ${worldX.toFixed(3)}, y: ${worldY.toFixed(3)}`;
+        // Map iteration settings
+        [['iterations-per-frame', 'iterationsPerFrame', 1000], ['max-iterations', 'maxIterations', 100000], ['max-period', 'maxPeriod', 8]].forEach(([id, property, max]) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 1 && value <= max) {
+                    this[property] = value;
+                } else {
+                    e.target.value = this[property];
+                }
+                if (property === 'maxPeriod') {
+                    this.recalculateFixedPoints = true;
+                    this.draw();
+                }
+            });
         });
-    }
-    
-    updateSystem() {
-        const dxdtInput = document.getElementById('dx-dt').value;
-        const dydtInput = document.getElementById('dy-dt').value;
-        const parametersInput = document.getElementById('parameters').value;
         
-        // Check if math.js is loaded
-        if (typeof math === 'undefined') {
-            console.error('math.js library not loaded');
-            alert('Math library not loaded. Please refresh the page.');
-            return;
-        }
+        // Export
+        document.getElementById('export-png').addEventListener('click', () => {
+            this.exportPng(parseFloat(document.getElementById('export-scale').value));
+        });
+        document.getElementById('export-svg').addEventListener('click', () => this.exportSvg());
+        document.getElementById('export-csv').addEventListener('click', () => this.exportTrajectoriesCsv());
+        document.getElementById('export-json').addEventListener('click', () => this.exportTrajectoriesJson());
+        document.getElementById('export-chart-png').addEventListener('click', () => this.exportChartPng());
+        document.getElementById('export-chart-csv').addEventListener('click', () => this.exportChartCsv());
         
-        try {
-            // Parse parameters JSON
-            this.parameters = parametersInput.trim() ? JSON.parse(parametersInput) : {};
-            console.log('Parameters loaded:', this.parameters);
-            
-            // Parse equations using math.js
-            this.dxdt = math.parse(dxdtInput).compile();
-            this.dydt = math.parse(dydtInput).compile();
-            console.log('Equations parsed successfully');
-            
-            // Update parameter display
-            this.updateParameterDisplay();
+        // Shareable link
+        document.getElementById('copy-link').addEventListener('click', () => {
+            this.copyShareLink();
+        });
+        
+        // Bifurcation diagram
+        document.getElementById('bifurcation-parameter').addEventListener('change', () => {
+            this.fillBifurcationRange();
+        });
+        
+        document.getElementById('compute-bifurcation').addEventListener('click', () => {
+            this.computeBifurcationDiagram();
+        });
+        
+        document.getElementById('cancel-bifurcation').addEventListener('click', () => {
+            this.cancelBifurcationDiagram('Cancelled');
+        });
+        
+        document.getElementById('find-orbit').addEventListener('click', () => {
+            this.findPeriodicOrbit();
+        });
+        
+        document.getElementById('clear-orbit').addEventListener('click', () => {
+            this.clearPeriodicOrbit();
+        });
+        
+        document.getElementById('compute-basins').addEventListener('click', () => {
+            this.computeBasins();
+        });
+        
+        document.getElementById('cancel-basins').addEventListener('click', () => {
+            this.cancelBasins('Cancelled');
+        });
+        
+        document.getElementById('show-basins').addEventListener('change', (e) => {
+            this.showBasins = e.target.checked;
+            this.draw();
+        });
+        
+        // Time-series panel
+        document.getElementById('series-mode').addEventListener('change', (e) => {
+            this.seriesMode = e.target.value;
+            document.getElementById('distance-point').classList.toggle('hidden', this.seriesMode !== 'distance');
+            this.draw();
+        });
+        
+        // Observables only change what is plotted, so particles are kept
+        document.getElementById('observables').addEventListener('change', () => {
+            this.compileObservables();
+            this.draw();
+        });
+        
+        ['x', 'y'].forEach(axis => {
+            document.getElementById(`distance-${axis}`).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (Number.isFinite(value)) {
+                    this.distancePoint[axis] = value;
+                    this.draw();
+                } else {
+                    e.target.value = this.distancePoint[axis];
+                }
+            });
+        });
+        
+        this.echarts.on('updateAxisPointer', (event) => {
+            const axisInfo = (event.axesInfo || []).find(info => info.axisDim === 'x');
+            this.setChartHoverTime(axisInfo ? axisInfo.value : null);
+        });
+        
+        this.echarts.getZr().on('globalout', () => {
+            this.setChartHoverTime(null);
+        });
+        
+        this.echarts.on('legendselectchanged', (params) => {
+            this.hiddenSeries = Object.fromEntries(Object.entries(params.selected).filter(([, shown]) => !shown));
+            this.drawScene();
+        });
+        
+        this.bifurcationChart.on('click', (params) => {
+            if (params.componentType === 'series') {
+                this.selectBifurcationValue(params.value[0]);
+            }
+        });
+        
+        // Particle controls
+        document.getElementById('particle-direction').addEventListener('change', (e) => {
+            this.particleDirection = e.target.value;
+        });
+        
+        document.getElementById('seed-tool').addEventListener('change', (e) => {
+            this.seedTool = e.target.value;
+        });
+        
+        document.getElementById('seed-count').addEventListener('input', (e) => {
+            const count = parseInt(e.target.value);
+            if (count >= 1) this.seedCount = Math.min(count, 1000);
+        });
+        
+        document.getElementById('particle-groups').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-group]');
+            if (button) this.clearParticleGroup(parseInt(button.dataset.group));
+        });
+        
+        document.getElementById('clear-particles').addEventListener('click', () => {
+            this.clearParticles();
+        });
+        
+        document.getElementById('clear-trajectories').addEventListener('click', () => {
+            this.clearTrajectories();
+        });
+        
+        document.getElementById('reset-all').addEventListener('click', () => {
+            this.resetAll();
+        });
+        
+        // Canvas click to pin a fixed point, highlight a particle or add particles
+        this.canvas.addEventListener('click', (e) => {
+            // The click that ends a pan or box zoom must not add a particle
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            const rect = this.canvas.getBoundingClientRect();
+            const fixedPoint = this.findFixedPointAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (fixedPoint) {
+                this.pinnedFixedPoint = this.pinnedFixedPoint === fixedPoint ? null : fixedPoint;
+                this.updateFixedPointInfo();
+                this.draw();
+                return;
+            }
+            const particle = this.findParticleAt(e.clientX - rect.left, e.clientY - rect.top);
+            if (particle) {
+                this.highlightedParticle = this.highlightedParticle === particle ? null : particle;
+                this.draw();
+                return;
+            }
+            this.addParticleAtClick(e);
+        });
+        
+        // Mouse coordinates
+        this.canvas.addEventListener('mousemove', (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            const canvasX = e.clientX - rect.left;
+            const canvasY = e.clientY - rect.top;
+            const worldX = this.canvasToWorldX(canvasX);
+            const worldY = this.canvasToWorldY(canvasY);
+            
+            const polar = this.coordinates === 'polar'
+                ? `, r: ${Math.hypot(worldX, worldY).toFixed(3)}, θ: ${Math.atan2(worldY, worldX).toFixed(3)}`
+                : '';
+            document.getElementById('mouse-coordinates').textContent = 
+                `x: ${worldX.toFixed(3)}, y: ${worldY.toFixed(3)}${polar}`;
+            if (this.dragState) return;
+            
+            // Hovering a fixed point marker shows its linearization
+            const fixedPoint = this.findFixedPointAt(canvasX, canvasY);
+            if (fixedPoint !== this.hoveredFixedPoint) {
+                this.hoveredFixedPoint = fixedPoint;
+                this.canvas.style.cursor = fixedPoint ? 'pointer' : '';
+                this.updateFixedPointInfo();
+                this.draw();
+            }
+        });
+        
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.hoveredFixedPoint) {
+                this.hoveredFixedPoint = null;
+                this.canvas.style.cursor = '';
+                this.updateFixedPointInfo();
+                this.draw();
+            }
+        });
+    }
+    
+    updateSystem() {
+        const dxdtInput = document.getElementById('dx-dt').value;
+        const dydtInput = document.getElementById('dy-dt').value;
+        const parametersInput = document.getElementById('parameters').value;
+        const systemType = document.getElementById('system-type').value;
+        const coordinates = this.selectedCoordinates();
+        
+        // Check if math.js is loaded
+        if (typeof math === 'undefined') {
+            console.error('math.js library not loaded');
+            this.setSystemStatus('Math library not loaded. Please refresh the page.', true);
+            return;
+        }
+        
+        // Problems are shown where they occur; a system with any of them is not loaded
+        const parameters = this.readParametersInput();
+        if (!parameters) {
+            this.validateParameters(parametersInput);
+            this.setSystemStatus('Not updated: the parameters are not a valid JSON object.', true);
+            return;
+        }
+        const diagnoses = this.updateEquationDiagnostics();
+        if (diagnoses.some(diagnosis => diagnosis.error || diagnosis.unknownSymbols.length > 0 || diagnosis.unknownFunctions.length > 0)) {
+            this.setSystemStatus('Not updated: fix the problems marked under the equations.', true);
+            return;
+        }
+        
+        try {
+            this.parameters = parameters;
+            console.log('Parameters loaded:', this.parameters);
+            
+            // Parse equations using math.js
+            const dxdtNode = math.parse(dxdtInput);
+            const dydtNode = math.parse(dydtInput);
+            
+            // A map's field is its displacement, so the fixed point search and the
+            // nullclines (where x or y is left unchanged) work on it as on a flow
+            const displacement = (node, variable) => new math.OperatorNode('-', 'subtract', [node, new math.SymbolNode(variable)]);
+            let fieldNodes = [dxdtNode, dydtNode];
+            let jacobianNodes = fieldNodes;
+            if (systemType === 'map') {
+                fieldNodes = jacobianNodes = [displacement(dxdtNode, 'x'), displacement(dydtNode, 'y')];
+            } else if (coordinates === 'polar') {
+                const polar = this.polarToCartesian(dxdtNode, dydtNode, parameters);
+                fieldNodes = polar.field;
+                jacobianNodes = polar.smooth;
+            }
+            this.systemType = systemType;
+            this.coordinates = coordinates;
+            this.dxdt = fieldNodes[0].compile();
+            this.dydt = fieldNodes[1].compile();
+            this.jacobian = this.compileJacobian(...jacobianNodes);
+            this.equationNodes = { dxdt: dxdtNode, dydt: dydtNode };
+            // The worker gets the Cartesian field, whatever it was entered in
+            this.systemSpec = coordinates === 'polar'
+                ? { dxdt: fieldNodes[0].toString(), dydt: fieldNodes[1].toString(), type: systemType }
+                : { dxdt: dxdtInput, dydt: dydtInput, type: systemType };
+            this.updateSystemTypeControls();
+            console.log('Equations parsed successfully');
+            
+            // Non-autonomous if t appears and is not a parameter
+            const usesTime = (node) => node.filter(n => n.isSymbolNode && n.name === 't').length > 0;
+            this.timeDependent = !('t' in this.parameters) && (usesTime(dxdtNode) || usesTime(dydtNode));
+            this.updateFieldTimeControls();
+            
+            // A running bifurcation sweep belongs to the previous system
+            this.cancelBifurcationDiagram('Cancelled: the system changed');
+            
+            // Forget fixed points of the previous system
+            this.pinnedFixedPoint = null;
+            this.hoveredFixedPoint = null;
+            this.updateFixedPointInfo();
+            
+            // Update parameter display
+            this.updateParameterDisplay();
+            this.buildParameterSliders();
+            this.populateBifurcationParameters();
+            this.compileObservables();
             
             // Render equations as LaTeX
             this.renderEquations();
             
             // Clear particles when system changes
             this.resetAll();
+            this.clearBasins();
             
             // Invalidate cache since system changed
             this.triggerRecalculateFlowFieldNullclines();
+            this.setSystemStatus('', false);
         } catch (error) {
-            console.error('Error parsing system:', error);
-            if (error instanceof SyntaxError) {
-                alert('Error parsing parameters JSON. Please check your JSON syntax.\nError: ' + error.message);
-            } else {
-                alert('Error parsing equations. Please check your syntax.\nError: ' + error.message);
+            console.error('Error loading system:', error);
+            this.setSystemStatus(`Not updated: ${error.message}`, true);
+        }
+    }
+    
+    selectedCoordinates() {
+        // Polar input only applies to flows
+        return document.getElementById('system-type').value === 'map'
+            ? 'cartesian'
+            : document.getElementById('coordinate-system').value;
+    }
+    
+    polarToCartesian(drdtNode, dthetadtNode, parameters) {
+        // x' = r' cos(theta) - r theta' sin(theta), y' = r' sin(theta) + r theta' cos(theta)
+        // with cos(theta) = x / r and sin(theta) = y / r. r and theta become
+        // functions of x and y unless they are parameters. At the origin, where
+        // theta is undefined, the field takes its limit as r -> 0: zero if r'
+        // vanishes there (at theta = 0), otherwise there is none and it is not a
+        // number. The Jacobian is taken of the smooth field, which is 0/0 at the
+        // origin, so it falls back to finite differences there.
+        const coordinates = {};
+        if (!('r' in parameters)) coordinates.r = math.parse('sqrt(x^2 + y^2)');
+        if (!('theta' in parameters)) coordinates.theta = math.parse('atan2(y, x)');
+        const rates = {
+            dr: this.substituteSymbols(drdtNode, coordinates),
+            dtheta: this.substituteSymbols(dthetadtNode, coordinates)
+        };
+        const smooth = [
+            this.substituteSymbols(math.parse('dr * x / sqrt(x^2 + y^2) - dtheta * y'), rates),
+            this.substituteSymbols(math.parse('dr * y / sqrt(x^2 + y^2) + dtheta * x'), rates)
+        ];
+        const field = smooth.map(node => this.substituteSymbols(math.parse('x == 0 and y == 0 ? (dr == 0 ? 0 : NaN) : field'), {
+            dr: rates.dr,
+            field: node
+        }));
+        return { field, smooth };
+    }
+    
+    substituteSymbols(node, replacements) {
+        // Replace the named symbols (not function names) by expression trees
+        return node.transform((child, path) => {
+            const replaced = child.isSymbolNode && path !== 'fn' && Object.prototype.hasOwnProperty.call(replacements, child.name);
+            return replaced ? replacements[child.name] : child;
+        });
+    }
+    
+    setSystemStatus(message, isError) {
+        const status = document.getElementById('system-status');
+        status.textContent = message;
+        status.style.color = isError ? '#dc3545' : '#6c757d';
+    }
+    
+    readParametersInput() {
+        // The parameter object typed in the JSON field, or null if it is not one
+        const input = document.getElementById('parameters').value;
+        try {
+            const parsed = input.trim() ? JSON.parse(input) : {};
+            return typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed) ? parsed : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    diagnoseEquation(text, parameterNames) {
+        // Parse problems and names that are neither x, y, t (or r and theta in polar
+        // coordinates), parameters nor math.js functions and constants. Positions
+        // are 0-based indices into the text.
+        const diagnosis = { node: null, error: null, unknownSymbols: [], unknownFunctions: [] };
+        if (!text.trim()) {
+            diagnosis.error = { message: 'Enter an expression', index: null };
+            return diagnosis;
+        }
+        
+        let node;
+        try {
+            node = math.parse(text);
+        } catch (error) {
+            // math.js reports 1-based positions as "(char N)"
+            const match = /\(char (\d+)\)/.exec(error.message);
+            diagnosis.error = {
+                message: error.message.replace(/\s*\(char \d+\)/, ''),
+                index: match ? Math.min(parseInt(match[1]) - 1, text.length) : null
+            };
+            return diagnosis;
+        }
+        if (node.isAssignmentNode || node.isFunctionAssignmentNode) {
+            diagnosis.error = { message: 'Expected an expression, not an assignment', index: text.indexOf('=') };
+            return diagnosis;
+        }
+        
+        const polar = this.selectedCoordinates() === 'polar' ? ['r', 'theta'] : [];
+        const known = new Set(['x', 'y', 't', ...polar, ...parameterNames]);
+        const isConstant = (name) => name in math && (typeof math[name] === 'number' || math.isComplex(math[name]));
+        node.traverse((child, path, parent) => {
+            if (!child.isSymbolNode) return;
+            const name = child.name;
+            if (parent && parent.isFunctionNode && path === 'fn') {
+                if (typeof math[name] !== 'function' && !diagnosis.unknownFunctions.includes(name)) {
+                    diagnosis.unknownFunctions.push(name);
+                }
+            } else if (!known.has(name) && !isConstant(name) && !diagnosis.unknownSymbols.includes(name)) {
+                diagnosis.unknownSymbols.push(name);
+            }
+        });
+        diagnosis.node = node;
+        return diagnosis;
+    }
+    
+    checkFieldDomain(node, parameters) {
+        // Sample the view coarsely and count where the expression is not a finite
+        // real number (NaN, Infinity, complex or an evaluation error)
+        const samples = 15;
+        const compiled = node.compile();
+        let invalid = 0;
+        let complex = false;
+        let example = null;
+        for (let i = 0; i < samples; i++) {
+            for (let j = 0; j < samples; j++) {
+                const x = this.xMin + (i + 0.5) * (this.xMax - this.xMin) / samples;
+                const y = this.yMin + (j + 0.5) * (this.yMax - this.yMin) / samples;
+                let value;
+                try {
+                    const polar = this.selectedCoordinates() === 'polar' ? { r: Math.hypot(x, y), theta: Math.atan2(y, x) } : {};
+                    value = compiled.evaluate({ x, y, t: this.fieldTime, ...polar, ...parameters });
+                } catch (error) {
+                    value = NaN;
+                }
+                if (typeof value === 'number' && Number.isFinite(value)) continue;
+                invalid++;
+                complex = complex || math.isComplex(value);
+                example = example || { x, y };
+            }
+        }
+        return { fraction: invalid / (samples * samples), complex, example };
+    }
+    
+    updateEquationDiagnostics() {
+        // Check both equation inputs against the parameters being typed and show
+        // the results under each input. Returns the diagnoses for dx/dt and dy/dt.
+        const parameters = this.readParametersInput() || this.parameters;
+        
+        return ['dx-dt', 'dy-dt'].map(id => {
+            const input = document.getElementById(id);
+            const container = document.getElementById(`${id}-diagnostics`);
+            const text = input.value;
+            const diagnosis = this.diagnoseEquation(text, Object.keys(parameters));
+            const lines = [];
+            
+            if (diagnosis.error) {
+                lines.push(`<div class="diagnostic-error">${this.escapeHtml(diagnosis.error.message)}</div>`);
+                const index = diagnosis.error.index;
+                if (index !== null && index >= 0 && text.trim()) {
+                    // Mark the offending character, or a blank past the end of the text
+                    const marked = text.slice(index, index + 1) || ' ';
+                    lines.push(`<code class="diagnostic-source">${this.escapeHtml(text.slice(0, index))}<mark>${this.escapeHtml(marked)}</mark>${this.escapeHtml(text.slice(index + 1))}</code>`);
+                }
+            }
+            if (diagnosis.unknownFunctions.length > 0) {
+                lines.push(`<div class="diagnostic-error">Unknown function${diagnosis.unknownFunctions.length > 1 ? 's' : ''}: ${this.escapeHtml(diagnosis.unknownFunctions.join(', '))}</div>`);
             }
+            if (diagnosis.unknownSymbols.length > 0) {
+                const names = diagnosis.unknownSymbols.join(', ');
+                lines.push(`<div class="diagnostic-error">Undefined: ${this.escapeHtml(names)}` +
+                    `<button class="diagnostic-action" data-add-parameters="${this.escapeHtml(diagnosis.unknownSymbols.join(','))}">Add to parameters</button></div>`);
+            }
+            
+            const hasError = Boolean(diagnosis.error) || diagnosis.unknownSymbols.length > 0 || diagnosis.unknownFunctions.length > 0;
+            input.classList.toggle('invalid', hasError);
+            container.innerHTML = lines.join('') + '<div class="diagnostic-domain"></div>';
+            
+            // The domain warning depends on the view and is refreshed on its own
+            this.domainChecks[id] = hasError ? null : diagnosis.node;
+            this.updateDomainWarning(id);
+            return diagnosis;
+        });
+    }
+    
+    updateDomainWarning(id) {
+        // Warn where the last checked expression is not a finite real number in the view
+        const element = document.querySelector(`#${id}-diagnostics .diagnostic-domain`);
+        const node = this.domainChecks[id];
+        if (!element) return;
+        element.innerHTML = '';
+        if (!node) return;
+        
+        const domain = this.checkFieldDomain(node, this.readParametersInput() || this.parameters);
+        if (domain.fraction > 0) {
+            const format = (value) => Number(value.toPrecision(3)).toString();
+            const kind = domain.complex ? 'complex or not finite' : 'not a finite number';
+            element.innerHTML = `<div class="diagnostic-warning">Warning: ${kind} at ${Math.max(1, Math.round(100 * domain.fraction))}% of the view, ` +
+                `e.g. at (${format(domain.example.x)}, ${format(domain.example.y)})</div>`;
+        }
+    }
+    
+    scheduleDomainWarnings() {
+        // After view and parameter changes only the domain warnings are redone,
+        // once the view has stopped moving for a moment
+        clearTimeout(this.domainCheckTimer);
+        this.domainCheckTimer = setTimeout(() => {
+            ['dx-dt', 'dy-dt'].forEach(id => this.updateDomainWarning(id));
+        }, 300);
+    }
+    
+    addParametersFromDiagnostics(names) {
+        // Undefined names become parameters with value 1, ready to be edited
+        const parameters = this.readParametersInput();
+        if (!parameters) {
+            this.setSystemStatus('Fix the parameter JSON before adding parameters.', true);
+            return;
         }
+        names.forEach(name => {
+            if (!(name in parameters)) parameters[name] = 1;
+        });
+        const parametersField = document.getElementById('parameters');
+        parametersField.value = JSON.stringify(parameters, null, 2);
+        this.validateParameters(parametersField.value);
+        this.updateEquationDiagnostics();
+    }
+    
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
     }
     
     updateViewRange() {
@@ -301,7 +1615,170 @@ class DynamicalSystemVisualizer {
         this.simulationYMax = 2*this.yMax - this.yMin;
     }
     
+    getView() {
+        return { xMin: this.xMin, xMax: this.xMax, yMin: this.yMin, yMax: this.yMax };
+    }
+    
+    setView(view) {
+        // Change the view without touching particles; their trajectories are
+        // stored in world coordinates and simply get re-projected
+        ['x-min', 'x-max', 'y-min', 'y-max'].forEach((id, i) => {
+            const value = [view.xMin, view.xMax, view.yMin, view.yMax][i];
+            document.getElementById(id).value = Number(value.toPrecision(6));
+        });
+        this.updateViewRange();
+        
+        // Keep full precision rather than the rounded input values
+        Object.assign(this, view);
+        this.triggerRecalculateFlowFieldNullclines();
+        this.draw();
+    }
+    
+    pushViewHistory() {
+        this.viewHistory.push(this.getView());
+        this.viewFuture = [];
+        this.updateViewHistoryButtons();
+    }
+    
+    navigateViewHistory(step) {
+        const [from, to] = step < 0 ? [this.viewHistory, this.viewFuture] : [this.viewFuture, this.viewHistory];
+        if (from.length === 0) return;
+        
+        to.push(this.getView());
+        this.setView(from.pop());
+        this.updateViewHistoryButtons();
+    }
+    
+    updateViewHistoryButtons() {
+        document.getElementById('view-back').disabled = this.viewHistory.length === 0;
+        document.getElementById('view-forward').disabled = this.viewFuture.length === 0;
+    }
+    
+    zoomAt(worldX, worldY, factor) {
+        // A burst of wheel events counts as one history entry
+        const now = Date.now();
+        if (now - this.lastWheelTime > 500) {
+            this.pushViewHistory();
+        }
+        this.lastWheelTime = now;
+        
+        this.setView({
+            xMin: worldX - (worldX - this.xMin) * factor,
+            xMax: worldX + (this.xMax - worldX) * factor,
+            yMin: worldY - (worldY - this.yMin) * factor,
+            yMax: worldY + (this.yMax - worldY) * factor
+        });
+    }
+    
+    updateDrag(event) {
+        const drag = this.dragState;
+        const rect = this.canvas.getBoundingClientRect();
+        drag.currentX = event.clientX - rect.left;
+        drag.currentY = event.clientY - rect.top;
+        
+        // Small movements still count as a click
+        if (!drag.moved && Math.hypot(drag.currentX - drag.startX, drag.currentY - drag.startY) < 4) return;
+        if (!drag.moved) {
+            drag.moved = true;
+            this.canvas.style.cursor = drag.mode === 'pan' ? 'grabbing' : 'crosshair';
+            if (drag.mode === 'pan') this.pushViewHistory();
+        }
+        
+        if (drag.mode === 'pan') {
+            const { xMin, xMax, yMin, yMax } = drag.startView;
+            const shiftX = -(drag.currentX - drag.startX) / this.canvasWidth * (xMax - xMin);
+            const shiftY = (drag.currentY - drag.startY) / this.canvasHeight * (yMax - yMin);
+            this.setView({ xMin: xMin + shiftX, xMax: xMax + shiftX, yMin: yMin + shiftY, yMax: yMax + shiftY });
+        } else {
+            this.draw();
+        }
+    }
+    
+    finishDrag(event) {
+        const drag = this.dragState;
+        this.updateDrag(event);
+        this.dragState = null;
+        this.canvas.style.cursor = '';
+        if (!drag.moved) return;
+        
+        // Swallow the click event that follows the mouseup on the canvas
+        this.suppressClick = event.target === this.canvas;
+        
+        if (drag.mode === 'seed') {
+            this.seedParticleBatch(drag);
+            return;
+        }
+        
+        if (drag.mode === 'box') {
+            const left = Math.min(drag.startX, drag.currentX);
+            const right = Math.max(drag.startX, drag.currentX);
+            const top = Math.min(drag.startY, drag.currentY);
+            const bottom = Math.max(drag.startY, drag.currentY);
+            if (right - left < 5 || bottom - top < 5) {
+                this.draw();
+                return;
+            }
+            
+            this.pushViewHistory();
+            this.setView({
+                xMin: this.canvasToWorldX(left),
+                xMax: this.canvasToWorldX(right),
+                yMin: this.canvasToWorldY(bottom),
+                yMax: this.canvasToWorldY(top)
+            });
+        }
+    }
+    
+    drawSelectionBox() {
+        const drag = this.dragState;
+        if (!drag || drag.mode !== 'box' || !drag.moved) return;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#667eea';
+        this.ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        const x = Math.min(drag.startX, drag.currentX);
+        const y = Math.min(drag.startY, drag.currentY);
+        const width = Math.abs(drag.currentX - drag.startX);
+        const height = Math.abs(drag.currentY - drag.startY);
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeRect(x, y, width, height);
+        this.ctx.restore();
+    }
+    
+    drawSeedPreview() {
+        // Outline of the batch being dragged with the particles it will place
+        const drag = this.dragState;
+        if (!drag || drag.mode !== 'seed' || !drag.moved) return;
+        
+        this.ctx.save();
+        this.ctx.strokeStyle = '#667eea';
+        this.ctx.fillStyle = '#667eea';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        if (this.seedTool === 'line') {
+            this.ctx.moveTo(drag.startX, drag.startY);
+            this.ctx.lineTo(drag.currentX, drag.currentY);
+        } else if (this.seedTool === 'grid') {
+            this.ctx.rect(drag.startX, drag.startY, drag.currentX - drag.startX, drag.currentY - drag.startY);
+        } else {
+            const radius = Math.hypot(drag.currentX - drag.startX, drag.currentY - drag.startY);
+            this.ctx.arc(drag.startX, drag.startY, radius, 0, 2 * Math.PI);
+        }
+        this.ctx.stroke();
+        
+        this.seedPositions(drag).forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(this.worldToCanvasX(point.x), this.worldToCanvasY(point.y), 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+        this.ctx.restore();
+    }
+    
     resetView() {
+        this.pushViewHistory();
         this.xMin = -5;
         this.xMax = 5;
         this.yMin = -5;
@@ -324,51 +1801,347 @@ class DynamicalSystemVisualizer {
         this.draw();
     }
     
-    loadPreset(preset) {
+    loadPreset(value) {
+        const preset = value ? this.findPreset(value) : null;
+        this.showPresetDescription(preset);
         if (!preset) return;
         
-        const presets = {
-            'van-der-pol': {
-                dxdt: 'y',
-                dydt: 'mu * (1 - x^2) * y - x',
-                parameters: { mu: 1 }
-            },
-            'pendulum': {
-                dxdt: 'y',
-                dydt: '-sin(x) - gamma * y',
-                parameters: { gamma: 0.1 }
-            },
-            'lotka-volterra': {
-                dxdt: 'alpha * x - beta * x * y',
-                dydt: 'delta * x * y - gamma * y',
-                parameters: { alpha: 1, beta: 1, delta: 1, gamma: 1 }
-            },
-            'spiral': {
-                dxdt: 'sigma * x - y',
-                dydt: 'x + sigma * y',
-                parameters: { sigma: -0.1 }
-            },
-            'fitzhugh-nagumo': {
-                dxdt: 'x - x^3 - y + delta',
-                dydt: 'gamma * x + gamma * alpha - gamma * beta * y',
-                parameters: { alpha: 0.7, beta: 0.8, gamma: 0.08, delta: 0.6 }
-            }
-        };
+        document.getElementById('system-type').value = preset.type || 'flow';
+        document.getElementById('coordinate-system').value = preset.coordinates || 'cartesian';
+        this.updateEquationLabels();
+        document.getElementById('dx-dt').value = preset.dxdt;
+        document.getElementById('dy-dt').value = preset.dydt;
+        document.getElementById('parameters').value = JSON.stringify(preset.parameters || {}, null, 2);
+        document.getElementById('observables').value = preset.observables || '';
         
-        if (presets[preset]) {
-            document.getElementById('dx-dt').value = presets[preset].dxdt;
-            document.getElementById('dy-dt').value = presets[preset].dydt;
-            
-            // Set parameters if available
-            if (presets[preset].parameters) {
-                document.getElementById('parameters').value = JSON.stringify(presets[preset].parameters, null, 2);
-            } else {
-                document.getElementById('parameters').value = '{}';
-            }
-            
-            this.updateSystem();
-            this.draw();
+        if (preset.settings) {
+            this.applyVisualizationSettings(preset.settings);
+        }
+        const current = this.getView();
+        if (preset.view && Object.keys(current).some(key => current[key] !== preset.view[key])) {
+            this.pushViewHistory();
+            this.setView(preset.view);
         }
+        
+        this.updateSystem();
+        this.draw();
+    }
+    
+    findPreset(value) {
+        // Built-in presets are selected by id, saved ones as "user:<id>"
+        if (value.startsWith('user:')) {
+            return this.userPresets.find(preset => preset.id === value.slice(5)) || null;
+        }
+        for (const group of PRESET_CATALOG) {
+            const preset = group.presets.find(candidate => candidate.id === value);
+            if (preset) return preset;
+        }
+        return null;
+    }
+    
+    showPresetDescription(preset) {
+        const display = document.getElementById('preset-description-display');
+        display.textContent = preset ? preset.description || '' : '';
+    }
+    
+    populatePresetSelect() {
+        // Built-in categories first, then the user's library
+        const select = document.getElementById('preset-select');
+        const previous = select.value;
+        select.querySelectorAll('optgroup').forEach(group => group.remove());
+        
+        const groups = PRESET_CATALOG.map(group => ({
+            label: group.category,
+            options: group.presets.map(preset => ({ value: preset.id, name: preset.name }))
+        }));
+        if (this.userPresets.length > 0) {
+            groups.push({
+                label: 'My Presets',
+                options: this.userPresets.map(preset => ({ value: `user:${preset.id}`, name: preset.name }))
+            });
+        }
+        
+        groups.forEach(({ label, options }) => {
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = label;
+            options.forEach(({ value, name }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = name;
+                optgroup.appendChild(option);
+            });
+            select.appendChild(optgroup);
+        });
+        select.value = this.findPreset(previous) ? previous : '';
+    }
+    
+    captureVisualizationSettings() {
+        return Object.fromEntries(PRESET_SETTINGS.map(([, property]) => [property, this[property]]));
+    }
+    
+    applyVisualizationSettings(settings) {
+        // Go through the controls so their handlers keep the UI and caches in step;
+        // values a control rejects are skipped
+        PRESET_SETTINGS.forEach(([id, property]) => {
+            if (!(property in settings)) return;
+            const control = document.getElementById(id);
+            const value = settings[property];
+            if (control.type === 'checkbox') {
+                if (typeof value !== 'boolean') return;
+                control.checked = value;
+            } else {
+                const previous = control.value;
+                control.value = value;
+                if (control.value === '' || (control.tagName === 'SELECT' && control.value !== String(value))) {
+                    control.value = previous;
+                    return;
+                }
+            }
+            control.dispatchEvent(new Event(control.type === 'range' ? 'input' : 'change'));
+        });
+    }
+    
+    loadUserPresets() {
+        try {
+            const presets = JSON.parse(localStorage.getItem('flowfield-user-presets')) || [];
+            return Array.isArray(presets) ? presets.map(preset => this.validatePreset(preset)).filter(Boolean) : [];
+        } catch (error) {
+            console.warn('Could not restore saved presets:', error);
+            return [];
+        }
+    }
+    
+    saveUserPresets() {
+        try {
+            localStorage.setItem('flowfield-user-presets', JSON.stringify(this.userPresets));
+            return true;
+        } catch (error) {
+            console.warn('Could not save presets:', error);
+            this.setPresetStatus('Could not save to browser storage (it may be full or disabled)', true);
+            return false;
+        }
+    }
+    
+    validatePreset(candidate) {
+        // A clean copy of a stored or imported preset, or null if it is unusable
+        if (typeof candidate !== 'object' || candidate === null) return null;
+        const { name, dxdt, dydt } = candidate;
+        if (typeof name !== 'string' || !name.trim() || typeof dxdt !== 'string' || typeof dydt !== 'string') return null;
+        try {
+            math.parse(dxdt);
+            math.parse(dydt);
+        } catch (error) {
+            return null;
+        }
+        
+        const entries = candidate.parameters || {};
+        if (typeof entries !== 'object' || Array.isArray(entries)) return null;
+        // Only numbers can be evaluated: other values would send every evaluation to
+        // the zero fallback. Names an equation needs then show up as undefined.
+        const parameters = Object.fromEntries(Object.entries(entries)
+            .filter(([, value]) => typeof value === 'number' && Number.isFinite(value)));
+        
+        const preset = {
+            id: typeof candidate.id === 'string' && candidate.id ? candidate.id : this.newPresetId(),
+            name: name.trim(),
+            description: typeof candidate.description === 'string' ? candidate.description : '',
+            type: candidate.type === 'map' ? 'map' : 'flow',
+            coordinates: candidate.coordinates === 'polar' ? 'polar' : 'cartesian',
+            dxdt,
+            dydt,
+            parameters,
+            observables: typeof candidate.observables === 'string' ? candidate.observables : ''
+        };
+        const view = candidate.view;
+        if (view && ['xMin', 'xMax', 'yMin', 'yMax'].every(key => Number.isFinite(view[key])) &&
+            view.xMin < view.xMax && view.yMin < view.yMax) {
+            preset.view = { xMin: view.xMin, xMax: view.xMax, yMin: view.yMin, yMax: view.yMax };
+        }
+        if (candidate.settings && typeof candidate.settings === 'object') {
+            preset.settings = { ...candidate.settings };
+        }
+        return preset;
+    }
+    
+    newPresetId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+    
+    saveCurrentAsPreset() {
+        const name = document.getElementById('preset-name').value.trim();
+        if (!name) {
+            this.setPresetStatus('Enter a name for the preset', true);
+            return;
+        }
+        
+        // Save what is in the inputs, provided it would load
+        const parameters = this.readParametersInput();
+        const diagnoses = this.updateEquationDiagnostics();
+        if (!parameters || diagnoses.some(diagnosis => diagnosis.error || diagnosis.unknownSymbols.length > 0 || diagnosis.unknownFunctions.length > 0)) {
+            this.setPresetStatus('Not saved: fix the equations and parameters first', true);
+            return;
+        }
+        
+        const preset = {
+            name,
+            description: document.getElementById('preset-description').value.trim(),
+            type: document.getElementById('system-type').value,
+            coordinates: this.selectedCoordinates(),
+            dxdt: document.getElementById('dx-dt').value,
+            dydt: document.getElementById('dy-dt').value,
+            parameters,
+            observables: document.getElementById('observables').value.trim(),
+            view: this.getView(),
+            settings: this.captureVisualizationSettings()
+        };
+        
+        // Editing replaces that preset; otherwise an existing preset of the same name is replaced
+        const index = this.editingPresetId
+            ? this.userPresets.findIndex(candidate => candidate.id === this.editingPresetId)
+            : this.userPresets.findIndex(candidate => candidate.name === name);
+        if (index >= 0) {
+            preset.id = this.userPresets[index].id;
+            this.userPresets[index] = preset;
+        } else {
+            preset.id = this.newPresetId();
+            this.userPresets.push(preset);
+        }
+        
+        if (this.saveUserPresets()) {
+            this.setPresetStatus(index >= 0 ? `Updated "${name}"` : `Saved "${name}"`, false);
+        }
+        this.finishPresetEdit();
+        this.updatePresetLibrary();
+        document.getElementById('preset-select').value = `user:${preset.id}`;
+    }
+    
+    editUserPreset(id) {
+        // Load the preset and its name for changes; saving writes them back
+        const preset = this.userPresets.find(candidate => candidate.id === id);
+        if (!preset) return;
+        
+        this.editingPresetId = id;
+        document.getElementById('preset-name').value = preset.name;
+        document.getElementById('preset-description').value = preset.description;
+        document.getElementById('save-preset').textContent = 'Save Changes';
+        document.getElementById('cancel-preset-edit').classList.remove('hidden');
+        document.getElementById('preset-select').value = `user:${id}`;
+        this.loadPreset(`user:${id}`);
+        this.setPresetStatus(`Editing "${preset.name}": change the system, then save`, false);
+    }
+    
+    finishPresetEdit() {
+        this.editingPresetId = null;
+        document.getElementById('preset-name').value = '';
+        document.getElementById('preset-description').value = '';
+        document.getElementById('save-preset').textContent = 'Save Current System';
+        document.getElementById('cancel-preset-edit').classList.add('hidden');
+    }
+    
+    deleteUserPreset(id) {
+        const preset = this.userPresets.find(candidate => candidate.id === id);
+        if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+        
+        this.userPresets = this.userPresets.filter(candidate => candidate !== preset);
+        if (this.editingPresetId === id) {
+            this.finishPresetEdit();
+        }
+        if (this.saveUserPresets()) {
+            this.setPresetStatus(`Deleted "${preset.name}"`, false);
+        }
+        this.updatePresetLibrary();
+    }
+    
+    exportUserPresets() {
+        if (this.userPresets.length === 0) {
+            this.setPresetStatus('There are no saved presets to export', true);
+            return;
+        }
+        const data = { format: 'flowfield-presets', version: 1, presets: this.userPresets };
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'flowfield-presets.json');
+    }
+    
+    importUserPresets(file) {
+        // Accepts an exported library or a plain array of presets; presets with
+        // the name of a saved one replace it
+        file.text().then(text => {
+            const data = JSON.parse(text);
+            const entries = Array.isArray(data) ? data : data && Array.isArray(data.presets) ? data.presets : null;
+            if (!entries) throw new Error('expected a list of presets');
+            
+            let added = 0;
+            let replaced = 0;
+            let skipped = 0;
+            entries.forEach(entry => {
+                const preset = this.validatePreset(entry);
+                if (!preset) {
+                    skipped++;
+                    return;
+                }
+                const index = this.userPresets.findIndex(candidate => candidate.name === preset.name);
+                if (index >= 0) {
+                    preset.id = this.userPresets[index].id;
+                    this.userPresets[index] = preset;
+                    replaced++;
+                } else {
+                    if (this.userPresets.some(candidate => candidate.id === preset.id)) preset.id = this.newPresetId();
+                    this.userPresets.push(preset);
+                    added++;
+                }
+            });
+            
+            // A failed save reports itself and leaves the presets for this session only
+            const saved = this.saveUserPresets();
+            this.updatePresetLibrary();
+            if (saved) {
+                this.setPresetStatus(`Imported ${added} preset${added === 1 ? '' : 's'}` +
+                    (replaced ? `, replaced ${replaced}` : '') + (skipped ? `, skipped ${skipped} invalid` : ''), skipped > 0);
+            }
+        }).catch(error => {
+            console.error('Error importing presets:', error);
+            this.setPresetStatus(`Import failed: ${error.message}`, true);
+        });
+    }
+    
+    updatePresetLibrary() {
+        // List the saved presets with their actions and refresh the preset menu
+        const list = document.getElementById('user-presets');
+        list.innerHTML = '';
+        this.userPresets.forEach(preset => {
+            const item = document.createElement('div');
+            item.className = 'user-preset';
+            
+            const text = document.createElement('div');
+            text.className = 'user-preset-text';
+            const name = document.createElement('div');
+            name.className = 'user-preset-name';
+            name.textContent = preset.name;
+            text.appendChild(name);
+            if (preset.description) {
+                const description = document.createElement('div');
+                description.className = 'user-preset-description';
+                description.textContent = preset.description;
+                text.appendChild(description);
+            }
+            
+            item.appendChild(text);
+            [['load', 'Load'], ['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, label]) => {
+                const button = document.createElement('button');
+                button.className = 'user-preset-action';
+                button.dataset.action = action;
+                button.dataset.id = preset.id;
+                button.textContent = label;
+                item.appendChild(button);
+            });
+            list.appendChild(item);
+        });
+        this.populatePresetSelect();
+    }
+    
+    setPresetStatus(message, isError) {
+        const status = document.getElementById('preset-status');
+        status.textContent = message;
+        status.style.color = isError ? '#dc3545' : '#28a745';
     }
     
     validateParameters(parametersInput) {
@@ -401,6 +2174,218 @@ class DynamicalSystemVisualizer {
         }
     }
     
+    compileObservables() {
+        // Parse one "name = expression" per line; a bare expression is its own name.
+        // Returns the problems found so callers can report them.
+        const field = document.getElementById('observables');
+        const helpText = field.parentNode.querySelector('.help-text');
+        const observables = [];
+        const errors = [];
+        
+        field.value.split('\n').forEach((line, i) => {
+            const text = line.trim();
+            if (!text) return;
+            try {
+                let node = math.parse(text);
+                let name = text;
+                if (node.isAssignmentNode) {
+                    if (!node.object.isSymbolNode) throw new Error('expected name = expression');
+                    name = node.object.name;
+                    node = node.value;
+                }
+                observables.push({ name, expression: node.toString(), compiled: node.compile() });
+            } catch (error) {
+                errors.push(`line ${i + 1}: ${error.message}`);
+            }
+        });
+        
+        this.observables = observables;
+        this.trajectoryValueCache = new WeakMap();
+        this.populateSeriesModes();
+        
+        if (errors.length > 0) {
+            field.style.borderColor = '#dc3545';
+            helpText.textContent = `Ignored ${errors.join('; ')}`;
+            helpText.style.color = '#dc3545';
+        } else {
+            field.style.borderColor = '#e9ecef';
+            helpText.textContent = 'One per line as name = expression in x, y, t and the parameters';
+            helpText.style.color = '#6c757d';
+        }
+        return errors;
+    }
+    
+    evaluateObservable(observable, point) {
+        // NaN where the expression fails or is not a real number, which breaks the plotted line
+        try {
+            const value = observable.compiled.evaluate({ x: point.x, y: point.y, t: point.t, ...this.parameters });
+            return typeof value === 'number' ? value : NaN;
+        } catch (error) {
+            return NaN;
+        }
+    }
+    
+    populateSeriesModes() {
+        // One chart mode per observable after the built-in quantities
+        const select = document.getElementById('series-mode');
+        select.querySelectorAll('option[value^="observable-"]').forEach(option => option.remove());
+        this.observables.forEach((observable, index) => {
+            const option = document.createElement('option');
+            option.value = `observable-${index}`;
+            option.textContent = `Observable: ${observable.name}`;
+            select.appendChild(option);
+        });
+        
+        if (!Array.from(select.options).some(option => option.value === this.seriesMode)) {
+            this.seriesMode = 'both';
+            document.getElementById('distance-point').classList.add('hidden');
+        }
+        select.value = this.seriesMode;
+    }
+    
+    loadParameterRanges() {
+        try {
+            return JSON.parse(localStorage.getItem('flowfield-parameter-ranges')) || {};
+        } catch (error) {
+            console.warn('Could not restore parameter slider ranges:', error);
+            return {};
+        }
+    }
+    
+    saveParameterRanges() {
+        try {
+            localStorage.setItem('flowfield-parameter-ranges', JSON.stringify(this.parameterRanges));
+        } catch (error) {
+            console.warn('Could not save parameter slider ranges:', error);
+        }
+    }
+    
+    defaultParameterRange(value) {
+        // Span a few multiples of the value with a step at 1% of its magnitude
+        const magnitude = Math.abs(value) || 1;
+        const step = Number(Math.pow(10, Math.floor(Math.log10(magnitude)) - 2).toPrecision(1));
+        return {
+            min: Number((value - 2 * magnitude).toPrecision(6)),
+            max: Number((value + 2 * magnitude).toPrecision(6)),
+            step
+        };
+    }
+    
+    buildParameterSliders() {
+        const container = document.getElementById('parameter-sliders');
+        container.innerHTML = '';
+        
+        const numericParameters = Object.entries(this.parameters).filter(([, value]) => typeof value === 'number');
+        if (numericParameters.length === 0) {
+            container.innerHTML = '<small class="help-text">Define numeric parameters and update the system to get sliders</small>';
+            return;
+        }
+        
+        numericParameters.forEach(([name, value]) => {
+            // Stored ranges that cannot drive a slider, or that do not contain the
+            // current value, are replaced by the default around the value
+            const stored = this.parameterRanges[name];
+            if (!stored || !(stored.min < stored.max) || !(stored.step > 0) || value < stored.min || value > stored.max) {
+                this.parameterRanges[name] = this.defaultParameterRange(value);
+            }
+            const range = this.parameterRanges[name];
+            
+            const row = document.createElement('div');
+            row.className = 'parameter-slider';
+            
+            const header = document.createElement('div');
+            header.className = 'parameter-slider-header';
+            const label = document.createElement('label');
+            label.textContent = name;
+            const valueInput = document.createElement('input');
+            valueInput.type = 'number';
+            valueInput.className = 'parameter-value';
+            valueInput.step = 'any';
+            valueInput.value = value;
+            header.append(label, valueInput);
+            
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = range.min;
+            slider.max = range.max;
+            slider.step = range.step;
+            slider.value = value;
+            
+            // Editable slider bounds
+            const bounds = document.createElement('div');
+            bounds.className = 'parameter-slider-range';
+            ['min', 'max', 'step'].forEach(key => {
+                const boundLabel = document.createElement('span');
+                boundLabel.textContent = key;
+                const boundInput = document.createElement('input');
+                boundInput.type = 'number';
+                boundInput.step = 'any';
+                boundInput.value = range[key];
+                boundInput.addEventListener('change', () => {
+                    const bound = parseFloat(boundInput.value);
+                    // The range must stay non-empty and the step positive
+                    const invalid = (key === 'step' && bound <= 0) ||
+                        (key === 'min' && bound >= range.max) ||
+                        (key === 'max' && bound <= range.min);
+                    if (!Number.isFinite(bound) || invalid) {
+                        boundInput.value = range[key];
+                        return;
+                    }
+                    range[key] = bound;
+                    slider[key] = bound;
+                    slider.value = this.parameters[name];
+                    this.saveParameterRanges();
+                });
+                bounds.append(boundLabel, boundInput);
+            });
+            
+            slider.addEventListener('input', () => {
+                valueInput.value = slider.value;
+                this.setParameterValue(name, parseFloat(slider.value));
+            });
+            valueInput.addEventListener('change', () => {
+                const newValue = parseFloat(valueInput.value);
+                if (!Number.isFinite(newValue)) {
+                    valueInput.value = this.parameters[name];
+                    return;
+                }
+                slider.value = newValue;
+                this.setParameterValue(name, newValue);
+            });
+            
+            row.append(header, slider, bounds);
+            container.appendChild(row);
+        });
+        
+        this.saveParameterRanges();
+    }
+    
+    setParameterValue(name, value) {
+        // Live parameter change: keep particles and let them follow the new field.
+        // A running bifurcation sweep sets its own parameter, so only a change of
+        // another one (which it would mix into later values) cancels it; this
+        // keeps clicks on a partly drawn diagram from stopping the sweep.
+        if (this.bifurcationJob && this.bifurcationJob.parameter !== name) {
+            this.cancelBifurcationDiagram('Cancelled: a parameter changed');
+        }
+        this.parameters[name] = value;
+        
+        const parametersField = document.getElementById('parameters');
+        parametersField.value = JSON.stringify(this.parameters, null, 2);
+        this.validateParameters(parametersField.value);
+        this.updateParameterDisplay();
+        this.renderEquations();
+        
+        // The highlighted orbit, basins and trajectory values belonged to the old parameter values
+        this.trajectoryValueCache = new WeakMap();
+        this.periodicOrbit = null;
+        this.updateOrbitResult();
+        this.clearBasins();
+        
+        this.triggerRecalculateFlowFieldNullclines();
+        this.draw();
+    }
+    
     updateParameterDisplay() {
         const display = document.getElementById('current-parameters');
         if (Object.keys(this.parameters).length > 0) {
@@ -413,176 +2398,1579 @@ class DynamicalSystemVisualizer {
         }
     }
     
-    convertToLatex(expression) {
-        // Convert common mathematical expressions to LaTeX
-        let latex = expression;
+    expressionToLatex(node, values = null) {
+        // LaTeX for a math.js expression tree. With values, parameters are
+        // replaced by their numbers.
+        const latex = (child) => this.expressionToLatex(child, values);
+        // Fractions, exponents and function arguments group by themselves
+        const bare = (child) => latex(child.isParenthesisNode ? child.content : child);
+        
+        if (node.isParenthesisNode) {
+            return `\\left(${latex(node.content)}\\right)`;
+        }
+        if (node.isConstantNode) {
+            return typeof node.value === 'number' ? this.numberToLatex(node.value) : node.toTex();
+        }
+        if (node.isSymbolNode) {
+            if (values && node.name in values && typeof values[node.name] === 'number') {
+                const value = this.numberToLatex(values[node.name]);
+                return values[node.name] < 0 ? `\\left(${value}\\right)` : value;
+            }
+            // A map's variables are the current iterate, and its t the iteration number
+            const iterates = { x: 'x_n', y: 'y_n', t: 'n' };
+            if (this.systemType === 'map' && node.name in iterates && !(node.name in this.parameters)) {
+                return iterates[node.name];
+            }
+            return this.symbolToLatex(node.name);
+        }
+        if (node.isFunctionNode) {
+            return this.functionToLatex(node.fn.name, node.args.map(bare), node.args.map(latex));
+        }
+        if (node.isOperatorNode) {
+            const [a, b] = node.args;
+            if (node.args.length === 1) {
+                const operand = latex(a);
+                if (node.fn === 'unaryMinus') return `-${operand}`;
+                if (node.fn === 'unaryPlus') return `+${operand}`;
+                return node.toTex();
+            }
+            switch (node.fn) {
+                case 'add':
+                    // a + (-b) reads as a - b
+                    return b.isOperatorNode && b.fn === 'unaryMinus'
+                        ? `${latex(a)} - ${latex(b.args[0])}`
+                        : `${latex(a)} + ${latex(b)}`;
+                case 'subtract':
+                    return `${latex(a)} - ${latex(b)}`;
+                case 'multiply': {
+                    // Juxtapose factors (2x, \mu x y) unless the right one starts with a number or sign
+                    const left = latex(a);
+                    const right = latex(b);
+                    return /^[\d.+-]/.test(right) ? `${left} \\cdot ${right}` : `${left} ${right}`;
+                }
+                case 'divide':
+                    return `\\frac{${bare(a)}}{${bare(b)}}`;
+                case 'pow': {
+                    // Compound bases need parentheses; user parentheses are already nodes
+                    const base = latex(a);
+                    const grouped = a.isOperatorNode || (a.isConstantNode && a.value < 0) || /^\\frac/.test(base) ||
+                        (a.isSymbolNode && /_|\^/.test(base));
+                    return `${grouped ? `\\left(${base}\\right)` : `{${base}}`}^{${bare(b)}}`;
+                }
+            }
+        }
+        // Anything else (conditionals, comparisons, matrices) as math.js writes it
+        return node.toTex();
+    }
+    
+    functionToLatex(name, args, groupedArgs) {
+        const operators = {
+            sin: '\\sin', cos: '\\cos', tan: '\\tan', sec: '\\sec', csc: '\\csc', cot: '\\cot',
+            asin: '\\arcsin', acos: '\\arccos', atan: '\\arctan',
+            sinh: '\\sinh', cosh: '\\cosh', tanh: '\\tanh', coth: '\\coth',
+            exp: '\\exp', log: '\\ln', max: '\\max', min: '\\min'
+        };
+        switch (name) {
+            case 'sqrt':
+                return `\\sqrt{${args[0]}}`;
+            case 'nthRoot':
+                return args.length > 1 ? `\\sqrt[${args[1]}]{${args[0]}}` : `\\sqrt{${args[0]}}`;
+            case 'cbrt':
+                return `\\sqrt[3]{${args[0]}}`;
+            case 'abs':
+                return `\\left|${args[0]}\\right|`;
+            case 'log':
+                // math.js log is natural unless a base is given
+                if (args.length > 1) return `\\log_{${args[1]}}\\left(${args[0]}\\right)`;
+                break;
+            case 'log10':
+                return `\\log_{10}\\left(${args[0]}\\right)`;
+            case 'log2':
+                return `\\log_{2}\\left(${args[0]}\\right)`;
+            case 'pow':
+                return `\\left(${args[0]}\\right)^{${args[1]}}`;
+        }
+        const operator = operators[name] || this.symbolToLatex(name);
+        return `${operator}\\left(${args.join(', ')}\\right)`;
+    }
+    
+    symbolToLatex(name) {
+        // Greek names become letters, k_1 and k1 become k with a subscript, and
+        // other multi-letter names are set upright
+        const constants = { pi: '\\pi', Infinity: '\\infty', phi: '\\phi', tau: '\\tau' };
+        if (name in constants) return constants[name];
+        
+        const subscripted = /^([A-Za-z]+?)_(.+)$/.exec(name) || /^([A-Za-z]+?)(\d+)$/.exec(name);
+        if (subscripted) {
+            const subscript = /^\d+$/.test(subscripted[2]) ? subscripted[2] : this.symbolToLatex(subscripted[2]);
+            return `${this.symbolToLatex(subscripted[1])}_{${subscript}}`;
+        }
+        if (GREEK_LETTERS.includes(name)) return `\\${name}`;
+        if (name.length === 1) return name;
+        return `\\mathrm{${name}}`;
+    }
+    
+    numberToLatex(value) {
+        // Six significant digits; very large or small magnitudes as powers of ten
+        const magnitude = Math.abs(value);
+        const scientific = magnitude >= 1e6 || (magnitude > 0 && magnitude < 1e-4);
+        const text = scientific ? Number(value.toPrecision(6)).toExponential() : Number(value.toPrecision(6)).toString();
+        const match = /^(-?[\d.]+)e([+-]\d+)$/.exec(text);
+        if (!match) return text;
+        const exponent = parseInt(match[2]);
+        return match[1] === '1' ? `10^{${exponent}}` : `${match[1]} \\times 10^{${exponent}}`;
+    }
+    
+    parametersToLatex() {
+        // "\mu = 1, \quad \gamma = 0.1" for the parameter list below the equations
+        return Object.entries(this.parameters)
+            .filter(([, value]) => typeof value === 'number')
+            .map(([name, value]) => `${this.symbolToLatex(name)} = ${this.numberToLatex(value)}`)
+            .join(', \\quad ');
+    }
+    
+    renderEquations() {
+        const equationDisplay = document.getElementById('equation-display');
+        const latexContainer = document.getElementById('latex-equations');
+        
+        // Typeset the loaded system, not whatever is currently being typed
+        if (!this.equationNodes) {
+            equationDisplay.classList.add('hidden');
+            return;
+        }
+        
+        equationDisplay.classList.remove('hidden');
+        
+        const values = this.latexNumericValues ? this.parameters : null;
+        const dxdtLatex = this.expressionToLatex(this.equationNodes.dxdt, values);
+        const dydtLatex = this.expressionToLatex(this.equationNodes.dydt, values);
+        
+        const labels = {
+            map: ['x_{n+1}', 'y_{n+1}'],
+            polar: ['\\frac{dr}{dt}', '\\frac{d\\theta}{dt}'],
+            cartesian: ['\\frac{dx}{dt}', '\\frac{dy}{dt}']
+        };
+        const [dxLabel, dyLabel] = labels[this.systemType === 'map' ? 'map' : this.coordinates];
+        const latexContent = `
+            \\begin{align}
+            ${dxLabel} &= ${dxdtLatex} \\\\
+            ${dyLabel} &= ${dydtLatex}
+            \\end{align}
+        `;
+        
+        const parametersLatex = this.parametersToLatex();
+        latexContainer.innerHTML = `$$${this.escapeHtml(latexContent)}$$` +
+            (parametersLatex ? `<div class="latex-parameters">$$${this.escapeHtml(parametersLatex)}$$</div>` : '');
+        
+        // Re-render MathJax
+        if (window.MathJax) {
+            MathJax.typesetPromise([latexContainer]).catch((err) => {
+                console.log('MathJax rendering error:', err);
+            });
+        }
+    }
+    
+    addParticleAtClick(event) {
+        if (!this.dxdt || !this.dydt) {
+            alert('Please load a system first by clicking "Update System"');
+            return;
+        }
+        
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = event.clientX - rect.left;
+        const canvasY = event.clientY - rect.top;
+        const worldX = this.canvasToWorldX(canvasX);
+        const worldY = this.canvasToWorldY(canvasY);
+        
+        const color = this.addParticle(worldX, worldY, this.particleDirection);
+        
+        // Show feedback
+        this.showClickFeedback(canvasX, canvasY, color);
+        
+        // Redraw
+        this.draw();
+    }
+    
+    addParticle(worldX, worldY, direction, groupId = null) {
+        const color = this.createParticles(worldX, worldY, direction, groupId);
+        this.updateParticleList();
+        
+        // Start simulation if not running
+        if (!this.simulationRunning) {
+            this.startSimulation();
+        }
+        
+        return color;
+    }
+    
+    createParticles(worldX, worldY, direction, groupId = null) {
+        // Add the particle (both halves of a two-way one) without refreshing the
+        // particle list, so batches can refresh it once. Returns its color.
+        // Get next color; particles of a batch share their group's color
+        const group = this.particleGroups.find(candidate => candidate.id === groupId);
+        const color = group ? group.color : this.particleColors[this.colorIndex % this.particleColors.length];
+        const colorPaired = group ? group.colorPaired : this.particleColorsPaired[this.colorIndex % this.particleColorsPaired.length];
+        if (!group) this.colorIndex++;
+        
+        // New particles start at the current simulation time; map orbits only run forward
+        if (this.systemType === 'map') direction = 'forward';
+        const created = [];
+        if (direction !== 'backward') {
+            created.push(new Particle(worldX, worldY, color, colorPaired, 1, this.simulationTime));
+        }
+        if (direction !== 'forward') {
+            created.push(new Particle(worldX, worldY, color, colorPaired, -1, this.simulationTime));
+        }
+        // Both halves of a two-way particle share its number
+        const number = this.nextParticleNumber++;
+        created.forEach(particle => {
+            particle.label = particle.direction < 0 ? `P${number} (backward)` : `P${number}`;
+            particle.groupId = groupId;
+            particle.discrete = this.systemType === 'map';
+            this.particles.push(particle);
+        });
+        return color;
+    }
+    
+    seedPositions(drag) {
+        // World positions of a batch from a drag on the canvas
+        const count = this.seedCount;
+        const x0 = this.canvasToWorldX(drag.startX);
+        const y0 = this.canvasToWorldY(drag.startY);
+        const x1 = this.canvasToWorldX(drag.currentX);
+        const y1 = this.canvasToWorldY(drag.currentY);
+        const positions = [];
+        
+        if (this.seedTool === 'line') {
+            // Evenly spaced including both end points
+            for (let k = 0; k < count; k++) {
+                const s = count > 1 ? k / (count - 1) : 0.5;
+                positions.push({ x: x0 + s * (x1 - x0), y: y0 + s * (y1 - y0) });
+            }
+        } else if (this.seedTool === 'grid') {
+            // Cell centers of a grid of about count particles shaped like the rectangle
+            const width = Math.abs(drag.currentX - drag.startX);
+            const height = Math.abs(drag.currentY - drag.startY);
+            const columns = Math.max(1, Math.round(Math.sqrt(count * width / Math.max(height, 1))));
+            const rows = Math.max(1, Math.round(count / columns));
+            for (let i = 0; i < columns; i++) {
+                for (let j = 0; j < rows; j++) {
+                    positions.push({
+                        x: x0 + (i + 0.5) / columns * (x1 - x0),
+                        y: y0 + (j + 0.5) / rows * (y1 - y0)
+                    });
+                }
+            }
+        } else if (this.seedTool === 'circle') {
+            // Ring around the drag start through the current point
+            const radius = Math.hypot(x1 - x0, y1 - y0);
+            for (let k = 0; k < count; k++) {
+                const angle = 2 * Math.PI * k / count;
+                positions.push({ x: x0 + radius * Math.cos(angle), y: y0 + radius * Math.sin(angle) });
+            }
+        }
+        return positions;
+    }
+    
+    seedParticleBatch(drag) {
+        if (!this.dxdt || !this.dydt) {
+            alert('Please load a system first by clicking "Update System"');
+            this.draw();
+            return;
+        }
+        
+        const positions = this.seedPositions(drag);
+        const labels = { line: 'Line', grid: 'Grid', circle: 'Ring' };
+        const group = {
+            id: this.nextGroupId++,
+            label: `${labels[this.seedTool]} of ${positions.length}`,
+            color: this.particleColors[this.colorIndex % this.particleColors.length],
+            colorPaired: this.particleColorsPaired[this.colorIndex % this.particleColorsPaired.length]
+        };
+        this.colorIndex++;
+        this.particleGroups.push(group);
+        
+        positions.forEach(point => this.createParticles(point.x, point.y, this.particleDirection, group.id));
+        this.updateParticleList();
+        this.updateParticleGroups();
+        if (!this.simulationRunning) {
+            this.startSimulation();
+        }
+        this.draw();
+    }
+    
+    clearParticleGroup(groupId) {
+        this.particles = this.particles.filter(particle => particle.groupId !== groupId);
+        this.particleGroups = this.particleGroups.filter(group => group.id !== groupId);
+        this.updateParticleGroups();
+        this.updateParticleList();
+        this.draw();
+    }
+    
+    updateParticleGroups() {
+        // One row per batch with its color and a button to remove it
+        const list = document.getElementById('particle-groups');
+        list.innerHTML = '';
+        this.particleGroups.forEach(group => {
+            const row = document.createElement('div');
+            row.className = 'particle-group';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'particle-group-swatch';
+            swatch.style.background = group.color;
+            const label = document.createElement('span');
+            label.textContent = group.label;
+            const button = document.createElement('button');
+            button.className = 'particle-group-clear';
+            button.dataset.group = group.id;
+            button.title = 'Remove this group';
+            button.textContent = '×';
+            
+            row.append(swatch, label, button);
+            list.appendChild(row);
+        });
+    }
+    
+    clearParticles() {
+        this.particles.forEach(particle => particle.active = false);
+        this.updateParticleCount();
+        this.draw();
+    }
+    
+    clearTrajectories() {
+        this.particles.forEach(particle => {
+            particle.trajectory = [{x: particle.x, y: particle.y, t: particle.t}];
+        });
+        this.draw();
+    }
+    
+    resetAll() {
+        this.stopSimulation();
+        this.particles = [];
+        this.particleGroups = [];
+        this.updateParticleGroups();
+        this.colorIndex = 0;
+        this.nextParticleNumber = 1;
+        // Labels start again from P1, so forget which ones the legend hid
+        this.hiddenSeries = {};
+        this.echarts.dispatchAction({ type: 'legendAllSelect' });
+        this.simulationTime = 0.0;
+        if (this.followSimulationTime) {
+            this.setFieldTime(0.0);
+        }
+        this.periodicOrbit = null;
+        this.updateOrbitResult();
+        this.updateParticleList();
+        this.draw();
+    }
+    
+    updateParticleCount() {
+        // Cheap enough for every frame: only the count of moving particles
+        document.getElementById('particle-count').textContent = `Particles: ${this.particles.filter(p => p.active).length}`;
+    }
+    
+    updateParticleList() {
+        // Particles were added or removed: refresh the count and the orbit seed
+        // choices, and drop a highlight on a removed particle
+        this.updateParticleCount();
+        this.populateOrbitParticles();
+        if (!this.particles.includes(this.highlightedParticle)) {
+            this.highlightedParticle = null;
+        }
+    }
+    
+    startSimulation() {
+        if (this.simulationRunning) return;
+        
+        this.simulationRunning = true;
+        this.simulateStep();
+    }
+    
+    simulateStep() {
+        if (!this.simulationRunning) return;
+        
+        // Integrate the active particles as a solver job; the next frame is
+        // requested once this one's states are back
+        const settings = this.getIntegrationSettings();
+        const particles = this.particles.filter(p => p.active);
+        const job = this.solver.run('integrate', {
+            system: this.getSystemSpec(),
+            particles: particles.map(particle => particle.getState()),
+            settings
+        });
+        this.integrationJob = job;
+        
+        job.promise.then(updates => {
+            if (this.integrationJob !== job) return;
+            this.integrationJob = null;
+            
+            // Particles cleared while the job ran stay stopped
+            updates.forEach((update, i) => {
+                if (particles[i].active) particles[i].applyUpdate(update);
+            });
+            this.simulationTime += this.systemType === 'map' ? settings.iterationsPerFrame : settings.stepSize;
+            if (this.followSimulationTime) {
+                this.setFieldTime(this.simulationTime);
+            }
+            
+            // Update particle count
+            this.updateParticleCount();
+            
+            // Redraw
+            this.draw();
+            
+            // Continue simulation if there are active particles
+            if (this.particles.length > 0 && this.particles.some(p => p.active)) {
+                requestAnimationFrame(() => this.simulateStep());
+            } else {
+                this.simulationRunning = false;
+                this.updateObservableDrift();
+            }
+        }, error => {
+            console.error('Error integrating particles:', error);
+            this.integrationJob = null;
+            this.simulationRunning = false;
+        });
+    }
+    
+    stopSimulation() {
+        // Drop the running integration; startSimulation() begins a fresh loop
+        this.solver.cancel(this.integrationJob);
+        this.integrationJob = null;
+        this.simulationRunning = false;
+    }
+    
+    getIntegrationSettings() {
+        if (this.systemType === 'map') {
+            return { iterationsPerFrame: this.iterationsPerFrame, maxIterations: this.maxIterations };
+        }
+        return {
+            integrator: this.integrator,
+            stepSize: this.simulationSpeed,
+            absoluteTolerance: this.absoluteTolerance,
+            relativeTolerance: this.relativeTolerance,
+            // Particles stop once they leave the simulation box (3x the view)
+            bounds: {
+                xMin: this.simulationXMin,
+                xMax: this.simulationXMax,
+                yMin: this.simulationYMin,
+                yMax: this.simulationYMax
+            }
+        };
+    }
+    
+    setFieldTime(time) {
+        this.fieldTime = time;
+        
+        // Grow the slider range so the current time stays reachable
+        const slider = document.getElementById('field-time');
+        if (time > parseFloat(slider.max)) {
+            slider.max = Math.ceil(time / 10) * 10;
+        }
+        slider.value = time;
+        document.getElementById('field-time-value').textContent = Number(time.toFixed(2));
+        
+        // Autonomous fields look the same at every time. Running jobs are kept
+        // so that an animated field still completes frames.
+        if (this.timeDependent) {
+            this.invalidateCaches();
+        }
+    }
+    
+    updateFieldTimeControls() {
+        ['field-time', 'follow-time'].forEach(id => {
+            document.getElementById(id).disabled = !this.timeDependent;
+        });
+    }
+    
+    updateIntegratorControls() {
+        // Tolerances only apply to the adaptive integrator
+        const adaptive = Integrators[this.integrator].adaptive;
+        ['absolute-tolerance', 'relative-tolerance'].forEach(id => {
+            document.getElementById(id).disabled = !adaptive;
+        });
+    }
+    
+    updateEquationLabels() {
+        // The equation fields hold derivatives for flows (of x and y, or of r and
+        // theta) and next iterates for maps
+        const map = document.getElementById('system-type').value === 'map';
+        document.getElementById('coordinate-system').disabled = map;
+        const labels = {
+            map: ['xₙ₊₁ =', 'yₙ₊₁ =', 'e.g., 1 - a*x^2 + y', 'e.g., b*x'],
+            polar: ['dr/dt =', 'dθ/dt =', 'e.g., r*(1 - r^2)', 'e.g., 1 + sin(theta)'],
+            cartesian: ['dx/dt =', 'dy/dt =', 'e.g., -y + x*(1 - x^2 - y^2)', 'e.g., x + y*(1 - x^2 - y^2)']
+        };
+        const [dxLabel, dyLabel, dxPlaceholder, dyPlaceholder] = labels[map ? 'map' : this.selectedCoordinates()];
+        document.getElementById('dx-dt-label').textContent = dxLabel;
+        document.getElementById('dy-dt-label').textContent = dyLabel;
+        document.getElementById('dx-dt').placeholder = dxPlaceholder;
+        document.getElementById('dy-dt').placeholder = dyPlaceholder;
+    }
+    
+    updateSystemTypeControls() {
+        // Show the controls that apply to the loaded kind of system. Orbits of
+        // maps only run forward, and the flow-only tools are hidden.
+        const map = this.systemType === 'map';
+        document.querySelectorAll('.flow-only').forEach(element => element.classList.toggle('hidden', map));
+        document.querySelectorAll('.map-only').forEach(element => element.classList.toggle('hidden', !map));
+        document.getElementById('particle-direction').disabled = map;
+        
+        const seriesLabels = map
+            ? { both: 'xₙ and yₙ', x: 'xₙ', y: 'yₙ', speed: 'Step |f(p) − p|' }
+            : { both: 'x(t) and y(t)', x: 'x(t)', y: 'y(t)', speed: 'Speed |f|' };
+        Object.entries(seriesLabels).forEach(([value, label]) => {
+            document.querySelector(`#series-mode option[value="${value}"]`).textContent = label;
+        });
+        
+        if (map) {
+            this.cancelBifurcationDiagram();
+            this.bifurcationContainer.classList.add('hidden');
+        }
+    }
+    
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    renderSceneTo(ctx) {
+        // Draw the phase portrait into another context using the same world-to-canvas mapping
+        const mainCtx = this.ctx;
+        this.ctx = ctx;
+        try {
+            this.drawScene();
+        } finally {
+            this.ctx = mainCtx;
+        }
+    }
+    
+    exportPng(scale) {
+        if (!(scale > 0)) scale = 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(this.canvasWidth * scale);
+        canvas.height = Math.round(this.canvasHeight * scale);
+        const ctx = canvas.getContext('2d');
+        
+        // The scene in canvas units scaled up; drawScene paints the background
+        ctx.scale(scale, scale);
+        this.renderSceneTo(ctx);
+        
+        canvas.toBlob(blob => this.downloadBlob(blob, 'phase-portrait.png'), 'image/png');
+    }
+    
+    exportSvg() {
+        const svg = new SvgContext(this.canvasWidth, this.canvasHeight);
+        this.renderSceneTo(svg);
+        this.downloadBlob(new Blob([svg.toString()], { type: 'image/svg+xml' }), 'phase-portrait.svg');
+    }
+    
+    exportTrajectoriesCsv() {
+        const rows = ['particle_index,particle_id,color,direction,t,x,y'];
+        this.particles.forEach((particle, index) => {
+            const direction = particle.direction < 0 ? 'backward' : 'forward';
+            particle.trajectory.forEach(point => {
+                rows.push([index + 1, particle.id, particle.color, direction, point.t, point.x, point.y].join(','));
+            });
+        });
+        this.downloadBlob(new Blob([rows.join('\n') + '\n'], { type: 'text/csv' }), 'trajectories.csv');
+    }
+    
+    exportTrajectoriesJson() {
+        const data = {
+            system: {
+                type: this.systemType,
+                coordinates: this.coordinates,
+                dxdt: document.getElementById('dx-dt').value,
+                dydt: document.getElementById('dy-dt').value,
+                parameters: this.parameters
+            },
+            particles: this.particles.map((particle, index) => ({
+                index: index + 1,
+                id: particle.id,
+                color: particle.color,
+                direction: particle.direction < 0 ? 'backward' : 'forward',
+                initial: { x: particle.initialX, y: particle.initialY },
+                trajectory: particle.trajectory.map(point => ({ t: point.t, x: point.x, y: point.y }))
+            }))
+        };
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'trajectories.json');
+    }
+    
+    exportChartPng() {
+        const url = this.echarts.getDataURL({ type: 'png', pixelRatio: 2, backgroundColor: '#fff' });
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'time-series.png';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+    
+    exportChartCsv() {
+        // One row per plotted point of every series in the time-series chart.
+        // Text fields are quoted (RFC 4180): observable names may hold commas.
+        const text = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = ['series_index,series_name,quantity,color,t,value'];
+        this.echartsSeries.forEach((series, index) => {
+            series.data.forEach(([t, value]) => {
+                rows.push([index + 1, text(series.name), text(series.quantity), text(series.color), t, value].join(','));
+            });
+        });
+        this.downloadBlob(new Blob([rows.join('\n') + '\n'], { type: 'text/csv' }), 'time-series.csv');
+    }
+    
+    serializeState() {
+        // Session state as URL parameters; numbers are shortened to 6 significant digits
+        const round = (value) => Number(value.toPrecision(6));
+        const state = new URLSearchParams();
+        
+        if (this.systemType === 'map') {
+            state.set('type', 'map');
+        }
+        if (this.coordinates === 'polar') {
+            state.set('coords', 'polar');
+        }
+        state.set('dx', document.getElementById('dx-dt').value);
+        state.set('dy', document.getElementById('dy-dt').value);
+        state.set('params', JSON.stringify(this.parameters));
+        state.set('view', [this.xMin, this.xMax, this.yMin, this.yMax].map(round).join(','));
+        state.set('grid', this.gridDensity);
+        state.set('scale', this.arrowScale);
+        state.set('color', this.arrowColor);
+        state.set('nullclines', this.showNullclines ? '1' : '0');
+        state.set('separatrices', this.showSeparatrices ? '1' : '0');
+        const observables = document.getElementById('observables').value.trim();
+        if (observables) {
+            state.set('obs', observables);
+        }
+        if (this.timeDependent && this.fieldTime !== 0) {
+            state.set('time', round(this.fieldTime));
+        }
+        
+        // Initial conditions; a forward/backward pair from one click shares a color
+        const seeds = [];
+        this.particles.forEach(particle => {
+            const previous = seeds[seeds.length - 1];
+            if (previous && previous.color === particle.color &&
+                previous.x === particle.initialX && previous.y === particle.initialY) {
+                previous.direction = 'both';
+                return;
+            }
+            seeds.push({
+                x: particle.initialX,
+                y: particle.initialY,
+                color: particle.color,
+                direction: particle.direction < 0 ? 'backward' : 'forward'
+            });
+        });
+        if (seeds.length > 0) {
+            const suffixes = { forward: '', backward: ',b', both: ',fb' };
+            state.set('particles', seeds.map(seed => `${round(seed.x)},${round(seed.y)}${suffixes[seed.direction]}`).join(';'));
+        }
+        
+        return state;
+    }
+    
+    getShareUrl() {
+        return `${window.location.origin}${window.location.pathname}#${this.serializeState().toString()}`;
+    }
+    
+    copyShareLink() {
+        const url = this.getShareUrl();
+        const status = document.getElementById('share-status');
+        history.replaceState(null, '', url);
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(() => {
+                status.textContent = 'Link copied to clipboard';
+                status.style.color = '#28a745';
+            }).catch(() => {
+                status.textContent = 'Copy failed; the link is in the address bar';
+                status.style.color = '#dc3545';
+            });
+        } else {
+            status.textContent = 'Clipboard unavailable; the link is in the address bar';
+            status.style.color = '#6c757d';
+        }
+    }
+    
+    loadStateFromUrl(location) {
+        // Reads state from the hash (or query string), applies every valid part
+        // and reports the rest. Returns the list of ignored entries.
+        const source = location.hash.length > 1 ? location.hash.slice(1) : location.search.slice(1);
+        if (!source) return [];
+        
+        const state = new URLSearchParams(source);
+        const ignored = [];
+        const known = ['type', 'coords', 'dx', 'dy', 'params', 'obs', 'view', 'grid', 'scale', 'color', 'nullclines', 'separatrices', 'time', 'particles'];
+        state.forEach((value, key) => {
+            if (!known.includes(key)) ignored.push(`unknown key "${key}"`);
+        });
+        
+        if (state.has('type')) {
+            if (['flow', 'map'].includes(state.get('type'))) {
+                document.getElementById('system-type').value = state.get('type');
+                this.updateEquationLabels();
+            } else {
+                ignored.push('type (expected flow or map)');
+            }
+        }
+        if (state.has('coords')) {
+            if (['cartesian', 'polar'].includes(state.get('coords'))) {
+                document.getElementById('coordinate-system').value = state.get('coords');
+                this.updateEquationLabels();
+            } else {
+                ignored.push('coords (expected cartesian or polar)');
+            }
+        }
+        
+        // Equations must parse to be used
+        ['dx', 'dy'].forEach(key => {
+            if (!state.has(key)) return;
+            try {
+                math.parse(state.get(key));
+                document.getElementById(key === 'dx' ? 'dx-dt' : 'dy-dt').value = state.get(key);
+            } catch (error) {
+                ignored.push(`${key} (${error.message})`);
+            }
+        });
+        
+        if (state.has('params')) {
+            try {
+                const parameters = JSON.parse(state.get('params'));
+                if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+                    throw new Error('not a JSON object');
+                }
+                document.getElementById('parameters').value = JSON.stringify(parameters, null, 2);
+                this.validateParameters(document.getElementById('parameters').value);
+            } catch (error) {
+                ignored.push(`params (${error.message})`);
+            }
+        }
+        
+        if (state.has('view')) {
+            const view = state.get('view').split(',').map(Number);
+            if (view.length === 4 && view.every(Number.isFinite) && view[0] < view[1] && view[2] < view[3]) {
+                ['x-min', 'x-max', 'y-min', 'y-max'].forEach((id, i) => {
+                    document.getElementById(id).value = view[i];
+                });
+                this.updateViewRange();
+            } else {
+                ignored.push('view (expected xMin,xMax,yMin,yMax with min < max)');
+            }
+        }
+        
+        if (state.has('grid')) {
+            const gridDensity = Number(state.get('grid'));
+            if (Number.isInteger(gridDensity) && gridDensity >= 10 && gridDensity <= 50) {
+                this.gridDensity = gridDensity;
+                document.getElementById('grid-density').value = gridDensity;
+                document.getElementById('grid-density-value').textContent = gridDensity;
+            } else {
+                ignored.push('grid (expected an integer from 10 to 50)');
+            }
+        }
+        
+        if (state.has('scale')) {
+            const arrowScale = Number(state.get('scale'));
+            if (Number.isFinite(arrowScale) && arrowScale >= 0.1 && arrowScale <= 2) {
+                this.arrowScale = arrowScale;
+                document.getElementById('arrow-scale').value = arrowScale;
+                document.getElementById('arrow-scale-value').textContent = arrowScale;
+            } else {
+                ignored.push('scale (expected a number from 0.1 to 2)');
+            }
+        }
+        
+        if (state.has('color')) {
+            const color = state.get('color').replace(/^#?/, '#');
+            if (/^#[0-9a-f]{6}$/i.test(color)) {
+                this.arrowColor = color;
+                document.getElementById('arrow-color').value = color;
+            } else {
+                ignored.push('color (expected a hex color like #3498db)');
+            }
+        }
+        
+        if (state.has('nullclines')) {
+            const flag = state.get('nullclines');
+            if (['0', '1', 'true', 'false'].includes(flag)) {
+                this.showNullclines = flag === '1' || flag === 'true';
+                document.getElementById('show-nullclines').checked = this.showNullclines;
+            } else {
+                ignored.push('nullclines (expected 0 or 1)');
+            }
+        }
+        
+        if (state.has('separatrices')) {
+            const flag = state.get('separatrices');
+            if (['0', '1', 'true', 'false'].includes(flag)) {
+                this.showSeparatrices = flag === '1' || flag === 'true';
+                document.getElementById('show-separatrices').checked = this.showSeparatrices;
+            } else {
+                ignored.push('separatrices (expected 0 or 1)');
+            }
+        }
+        
+        if (state.has('obs')) {
+            document.getElementById('observables').value = state.get('obs');
+            this.compileObservables().forEach(error => ignored.push(`observable ${error}`));
+        }
+        
+        // Load the system only if the URL described one
+        const hasSystem = state.has('type') || state.has('coords') || state.has('dx') || state.has('dy') || state.has('params');
+        if (hasSystem) {
+            this.updateSystem();
+        }
+        
+        // Restored particles start at the shared time
+        if (state.has('time')) {
+            const time = Number(state.get('time'));
+            if (Number.isFinite(time)) {
+                this.simulationTime = time;
+                this.setFieldTime(time);
+            } else {
+                ignored.push('time (expected a number)');
+            }
+        }
+        
+        if (state.has('particles')) {
+            if (!this.dxdt || !this.dydt) {
+                ignored.push('particles (no valid system to integrate)');
+            } else {
+                const directions = { '': 'forward', 'f': 'forward', 'b': 'backward', 'fb': 'both' };
+                state.get('particles').split(';').forEach((entry, i) => {
+                    const [x, y, flag = ''] = entry.split(',');
+                    const worldX = Number(x);
+                    const worldY = Number(y);
+                    if (x === '' || y === undefined || !Number.isFinite(worldX) || !Number.isFinite(worldY) || !(flag in directions)) {
+                        ignored.push(`particle ${i + 1} ("${entry}")`);
+                        return;
+                    }
+                    this.createParticles(worldX, worldY, directions[flag]);
+                });
+                this.updateParticleList();
+                if (this.particles.length > 0 && !this.simulationRunning) {
+                    this.startSimulation();
+                }
+            }
+        }
+        
+        this.triggerRecalculateFlowFieldNullclines();
+        this.draw();
+        
+        const status = document.getElementById('share-status');
+        if (ignored.length > 0) {
+            console.warn('Ignored parts of the shared link:', ignored);
+            status.textContent = `Loaded shared link, ignored: ${ignored.join('; ')}`;
+            status.style.color = '#dc3545';
+        } else {
+            status.textContent = 'Loaded shared link';
+            status.style.color = '#28a745';
+        }
+        return ignored;
+    }
+    
+    populateBifurcationParameters() {
+        const select = document.getElementById('bifurcation-parameter');
+        const previous = select.value;
+        select.innerHTML = '';
+        
+        Object.entries(this.parameters)
+            .filter(([, value]) => typeof value === 'number')
+            .forEach(([name]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+        
+        if (previous in this.parameters) {
+            select.value = previous;
+        }
+        this.fillBifurcationRange();
+    }
+    
+    fillBifurcationRange() {
+        // Default the sweep to the parameter's slider range
+        const range = this.parameterRanges[document.getElementById('bifurcation-parameter').value];
+        if (range) {
+            document.getElementById('bifurcation-min').value = range.min;
+            document.getElementById('bifurcation-max').value = range.max;
+        }
+    }
+    
+    computeBifurcationDiagram() {
+        if (!this.dxdt || !this.dydt) {
+            alert('Please load a system first by clicking "Update System"');
+            return;
+        }
+        
+        const parameter = document.getElementById('bifurcation-parameter').value;
+        const min = parseFloat(document.getElementById('bifurcation-min').value);
+        const max = parseFloat(document.getElementById('bifurcation-max').value);
+        const samples = parseInt(document.getElementById('bifurcation-samples').value);
+        const variable = document.getElementById('bifurcation-variable').value;
+        const transientTime = parseFloat(document.getElementById('bifurcation-transient').value);
+        const sampleTime = parseFloat(document.getElementById('bifurcation-sample-time').value);
+        
+        if (!(parameter in this.parameters)) {
+            alert('Choose a numeric parameter to vary.');
+            return;
+        }
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max || !(samples >= 2) ||
+            !(transientTime >= 0) || !(sampleTime > 0)) {
+            alert('Please enter a valid range (min < max), at least 2 samples and positive integration times.');
+            return;
+        }
+        
+        this.cancelBifurcationDiagram();
+        
+        const job = {
+            cancelled: false,
+            parameter,
+            variable,
+            transientTime,
+            sampleTime,
+            values: Array.from({ length: samples }, (_, i) => min + i * (max - min) / (samples - 1)),
+            stable: [],
+            unstable: [],
+            neutral: [],
+            cycles: []
+        };
+        this.bifurcationJob = job;
+        this.bifurcationResult = job;
+        this.bifurcationContainer.classList.remove('hidden');
+        this.bifurcationChart.resize();
+        
+        // Seeds for the attractor search: a coarse grid, plus the end states
+        // found for the previous parameter value so branches are followed
+        const gridSeeds = [];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                gridSeeds.push({
+                    x: this.xMin + (i + 0.5) * (this.xMax - this.xMin) / 3,
+                    y: this.yMin + (j + 0.5) * (this.yMax - this.yMin) / 3
+                });
+            }
+        }
+        let continuationSeeds = [];
+        let index = 0;
+        
+        // One parameter value per task keeps the page responsive
+        const computeNext = () => {
+            if (job.cancelled) return;
+            
+            const value = job.values[index];
+            const originalParameters = this.parameters;
+            this.parameters = { ...originalParameters, [parameter]: value };
+            try {
+                this.findFixedPoints().forEach(fixedPoint => {
+                    const point = [value, fixedPoint[variable]];
+                    if (fixedPoint.stable === true) job.stable.push(point);
+                    else if (fixedPoint.stable === false) job.unstable.push(point);
+                    else job.neutral.push(point);
+                });
+                
+                const attractors = this.sampleAttractors([...continuationSeeds, ...gridSeeds], job);
+                attractors
+                    .filter(attractor => attractor.type === 'cycle')
+                    .forEach(attractor => {
+                        job.cycles.push([value, attractor.min], [value, attractor.max]);
+                    });
+                continuationSeeds = attractors.map(attractor => attractor.end);
+            } finally {
+                this.parameters = originalParameters;
+            }
+            
+            index++;
+            document.getElementById('bifurcation-status').textContent =
+                `Computing: ${index} / ${job.values.length} (${parameter} = ${Number(value.toPrecision(4))})`;
+            this.renderBifurcationDiagram();
+            
+            if (index < job.values.length) {
+                setTimeout(computeNext, 0);
+            } else {
+                this.bifurcationJob = null;
+                document.getElementById('bifurcation-status').textContent =
+                    `Done: ${job.values.length} values of ${parameter}. Click the diagram to apply a value.`;
+            }
+        };
+        setTimeout(computeNext, 0);
+    }
+    
+    cancelBifurcationDiagram(message) {
+        if (this.bifurcationJob) {
+            this.bifurcationJob.cancelled = true;
+            this.bifurcationJob = null;
+            if (message) {
+                document.getElementById('bifurcation-status').textContent = message;
+            }
+        }
+    }
+    
+    sampleAttractors(seeds, job) {
+        // Integrate each seed past its transient, then record the extent of the
+        // chosen variable. Runs that settle are equilibria, the rest cycles.
+        const dt = 0.05;
+        const spanX = this.xMax - this.xMin;
+        const spanY = this.yMax - this.yMin;
+        const span = job.variable === 'x' ? spanX : spanY;
+        const evaluator = (x, y, t) => this.evaluateSystem(x, y, t);
+        const escaped = (state) => !Number.isFinite(state.x) || !Number.isFinite(state.y) ||
+            Math.abs(state.x - (this.xMin + this.xMax) / 2) > 1.5 * spanX ||
+            Math.abs(state.y - (this.yMin + this.yMax) / 2) > 1.5 * spanY;
+        const attractors = [];
+        
+        seeds.forEach(seed => {
+            let state = { x: seed.x, y: seed.y, t: 0 };
+            for (let t = 0; t < job.transientTime && !escaped(state); t += dt) {
+                state = Integrators.rk4.step(evaluator, state, dt);
+            }
+            if (escaped(state)) return;
+            
+            let min = Infinity;
+            let max = -Infinity;
+            for (let t = 0; t < job.sampleTime && !escaped(state); t += dt) {
+                state = Integrators.rk4.step(evaluator, state, dt);
+                min = Math.min(min, state[job.variable]);
+                max = Math.max(max, state[job.variable]);
+            }
+            if (escaped(state)) return;
+            
+            const tolerance = 1e-3 * span;
+            const type = max - min < tolerance ? 'equilibrium' : 'cycle';
+            const duplicate = attractors.some(other =>
+                other.type === type && Math.abs(other.min - min) < tolerance && Math.abs(other.max - max) < tolerance);
+            if (!duplicate) {
+                attractors.push({ type, min, max, end: { x: state.x, y: state.y } });
+            }
+        });
+        
+        return attractors;
+    }
+    
+    renderBifurcationDiagram() {
+        const result = this.bifurcationResult;
+        if (!result) return;
+        
+        const currentValue = this.parameters[result.parameter];
+        this.bifurcationChart.setOption({
+            animation: false,
+            title: { text: 'Bifurcation Diagram', left: 'center', textStyle: { fontSize: 14 } },
+            tooltip: {
+                trigger: 'item',
+                formatter: (params) => `${params.seriesName}<br>${result.parameter} = ${Number(params.value[0].toPrecision(4))}<br>${result.variable} = ${Number(params.value[1].toPrecision(4))}`
+            },
+            legend: { top: 25 },
+            grid: { top: 60 },
+            xAxis: { type: 'value', name: result.parameter, min: result.values[0], max: result.values[result.values.length - 1] },
+            yAxis: { type: 'value', name: result.variable, scale: true },
+            series: [
+                { name: 'Stable fixed point', type: 'scatter', symbolSize: 6, itemStyle: { color: '#27ae60' }, data: result.stable },
+                { name: 'Unstable fixed point', type: 'scatter', symbolSize: 6, itemStyle: { color: 'white', borderColor: '#c0392b', borderWidth: 1.5 }, data: result.unstable },
+                { name: 'Neutral fixed point', type: 'scatter', symbolSize: 6, itemStyle: { color: '#8e44ad' }, data: result.neutral },
+                {
+                    name: 'Cycle min/max',
+                    type: 'scatter',
+                    symbolSize: 4,
+                    itemStyle: { color: '#34495e' },
+                    data: result.cycles,
+                    // Marks the parameter value currently shown in the phase plane
+                    markLine: typeof currentValue === 'number' ? {
+                        silent: true,
+                        symbol: 'none',
+                        lineStyle: { color: '#667eea', type: 'dashed' },
+                        data: [{ xAxis: currentValue }]
+                    } : undefined
+                }
+            ]
+        }, { notMerge: true });
+    }
+    
+    selectBifurcationValue(value) {
+        const result = this.bifurcationResult;
+        if (!result || !(result.parameter in this.parameters)) return;
+        
+        this.setParameterValue(result.parameter, value);
+        this.buildParameterSliders();
+        this.renderBifurcationDiagram();
+    }
+    
+    populateOrbitParticles() {
+        // Particles that can seed the periodic-orbit search, keeping the current choice
+        const select = document.getElementById('orbit-particle');
+        const previous = select.value;
+        select.innerHTML = '';
+        
+        if (this.particles.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No particles';
+            select.appendChild(option);
+            return;
+        }
+        
+        // Options are keyed by particle id so the choice survives removed groups
+        this.particles.forEach(particle => {
+            const option = document.createElement('option');
+            option.value = particle.id;
+            option.textContent = particle.label;
+            option.style.color = particle.color;
+            select.appendChild(option);
+        });
+        const kept = this.particles.some(particle => String(particle.id) === previous);
+        select.value = kept ? previous : this.particles[this.particles.length - 1].id;
+    }
+    
+    findPeriodicOrbit() {
+        if (!this.dxdt || !this.dydt) {
+            alert('Please load a system first by clicking "Update System"');
+            return;
+        }
+        const selected = document.getElementById('orbit-particle').value;
+        const particle = this.particles.find(candidate => String(candidate.id) === selected);
+        if (!particle) {
+            alert('Add a particle near the oscillation first, then select it as the seed.');
+            return;
+        }
+        
+        const status = document.getElementById('orbit-status');
+        if (this.timeDependent) {
+            status.textContent = 'Periodic orbits are only searched for autonomous systems; these equations depend on t.';
+            return;
+        }
+        status.textContent = 'Searching for a periodic orbit...';
+        
+        // Let the status repaint before the (blocking) search
+        setTimeout(() => {
+            const recurrence = this.detectRecurrence(particle);
+            if (!recurrence) {
+                status.textContent = 'No recurrence found along the trajectory. Let the particle run longer or pick another one.';
+                return;
+            }
+            
+            const orbit = this.shootPeriodicOrbit(recurrence.x, recurrence.y, recurrence.period);
+            if (!orbit) {
+                status.textContent = `Shooting did not converge from the recurrence (period ≈ ${Number(recurrence.period.toPrecision(4))}).`;
+                return;
+            }
+            
+            this.periodicOrbit = orbit;
+            this.updateOrbitResult();
+            status.textContent = `Converged in ${orbit.iterations} Newton iterations.`;
+            this.draw();
+        }, 0);
+    }
+    
+    detectRecurrence(particle) {
+        // Look for the latest return of the trajectory to the section through its
+        // end point, extending the run in the particle's time direction if needed
+        const span = Math.max(this.xMax - this.xMin, this.yMax - this.yMin);
+        const tolerance = 0.02 * span;
+        const dt = particle.direction * this.simulationSpeed;
+        const evaluator = (x, y, t) => this.evaluateSystem(x, y, t);
+        const points = particle.trajectory.slice();
         
-        // Replace power notation (handle more complex cases)
-        latex = latex.replace(/\b([a-zA-Z]\w*|\([^)]+\))\s*\^\s*(\d+)/g, '$1^{$2}');
-        latex = latex.replace(/\b([a-zA-Z]\w*|\([^)]+\))\s*\^\s*(\([^)]+\))/g, '$1^{$2}');
-        latex = latex.replace(/\b([a-zA-Z]\w*|\([^)]+\))\s*\^\s*([a-zA-Z]\w*)/g, '$1^{$2}');
+        const findReturn = () => {
+            const end = points[points.length - 1];
+            const { dx, dy } = this.evaluateSystem(end.x, end.y);
+            const speed = Math.hypot(dx, dy);
+            if (!(speed > 0)) return null;
+            // Section normal points along the motion, which is -f for backward runs
+            const nx = particle.direction * dx / speed;
+            const ny = particle.direction * dy / speed;
+            const side = (point) => (point.x - end.x) * nx + (point.y - end.y) * ny;
+            
+            let excursion = 0;
+            for (let i = points.length - 1; i > 0; i--) {
+                const current = points[i];
+                const previous = points[i - 1];
+                excursion = Math.max(excursion, Math.hypot(current.x - end.x, current.y - end.y));
+                const s0 = side(previous);
+                const s1 = side(current);
+                if (excursion < tolerance || !(s0 < 0 && s1 >= 0)) continue;
+                
+                const fraction = s0 / (s0 - s1);
+                const crossing = {
+                    x: previous.x + fraction * (current.x - previous.x),
+                    y: previous.y + fraction * (current.y - previous.y),
+                    t: previous.t + fraction * (current.t - previous.t)
+                };
+                if (Math.hypot(crossing.x - end.x, crossing.y - end.y) < tolerance) {
+                    return { x: end.x, y: end.y, period: Math.abs(end.t - crossing.t) };
+                }
+            }
+            return null;
+        };
         
-        // Handle specific cases like x^2, y^2
-        latex = latex.replace(/([xy])\s*\^\s*2/g, '$1^2');
+        let recurrence = findReturn();
+        for (let round = 0; !recurrence && round < 10; round++) {
+            // Extend by 50 time units at a time
+            let state = points[points.length - 1];
+            for (let step = 0; step < 50 / this.simulationSpeed; step++) {
+                state = Integrators.rk4.step(evaluator, state, dt);
+                if (!Number.isFinite(state.x) || !Number.isFinite(state.y)) return null;
+                points.push({ x: state.x, y: state.y, t: state.t });
+            }
+            recurrence = findReturn();
+        }
+        return recurrence;
+    }
+    
+    integrateVariational(x0, y0, period, record) {
+        // RK4 on the state, the monodromy matrix M' = J M and the divergence
+        // integral, whose exponential is the product of the Floquet multipliers
+        const steps = Math.min(20000, Math.max(500, Math.ceil(period / 0.01)));
+        const h = period / steps;
+        const derivative = (s) => {
+            const { dx, dy } = this.evaluateSystem(s[0], s[1]);
+            const [[a, b], [c, d]] = this.evaluateJacobian(s[0], s[1]);
+            return [
+                dx, dy,
+                a * s[2] + b * s[4], a * s[3] + b * s[5],
+                c * s[2] + d * s[4], c * s[3] + d * s[5],
+                a + d
+            ];
+        };
         
-        // Replace multiplication signs with \cdot, but be smart about it
-        latex = latex.replace(/\*\s*/g, ' \\cdot ');
+        let state = [x0, y0, 1, 0, 0, 1, 0];
+        const points = record ? [{ x: x0, y: y0 }] : null;
+        for (let step = 0; step < steps; step++) {
+            const k1 = derivative(state);
+            const k2 = derivative(state.map((v, i) => v + h / 2 * k1[i]));
+            const k3 = derivative(state.map((v, i) => v + h / 2 * k2[i]));
+            const k4 = derivative(state.map((v, i) => v + h * k3[i]));
+            state = state.map((v, i) => v + h / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+            if (record) points.push({ x: state[0], y: state[1] });
+        }
         
-        // Remove unnecessary \cdot before parentheses
-        latex = latex.replace(/\\cdot\s*\(/g, '(');
-        latex = latex.replace(/\)\s*\\cdot\s*/g, ')');
+        return {
+            x: state[0],
+            y: state[1],
+            monodromy: [[state[2], state[3]], [state[4], state[5]]],
+            divergence: state[6],
+            points
+        };
+    }
+    
+    shootPeriodicOrbit(x0, y0, period0) {
+        // Newton on (s, T): start on the line through (x0, y0) transverse to the
+        // flow at distance s and require the orbit to close after time T
+        const span = Math.max(this.xMax - this.xMin, this.yMax - this.yMin);
+        const tolerance = 1e-7 * span;
+        const maxIterations = 30;
+        const { dx, dy } = this.evaluateSystem(x0, y0);
+        const speed = Math.hypot(dx, dy);
+        if (!(speed > 0)) return null;
+        const tangent = { x: -dy / speed, y: dx / speed };
         
-        // Replace common functions
-        latex = latex.replace(/\bsin\b/g, '\\sin');
-        latex = latex.replace(/\bcos\b/g, '\\cos');
-        latex = latex.replace(/\btan\b/g, '\\tan');
-        latex = latex.replace(/\bexp\b/g, '\\exp');
-        latex = latex.replace(/\blog\b/g, '\\log');
-        latex = latex.replace(/\bsqrt\b/g, '\\sqrt');
+        const evaluate = (s, period) => {
+            const x = x0 + s * tangent.x;
+            const y = y0 + s * tangent.y;
+            const flow = this.integrateVariational(x, y, period, false);
+            const residual = { x: flow.x - x, y: flow.y - y };
+            return { s, period, flow, residual, error: Math.hypot(residual.x, residual.y) };
+        };
         
-        // Replace Greek letters commonly used as parameters
-        latex = latex.replace(/\bmu\b/g, '\\mu');
-        latex = latex.replace(/\balpha\b/g, '\\alpha');
-        latex = latex.replace(/\bbeta\b/g, '\\beta');
-        latex = latex.replace(/\bgamma\b/g, '\\gamma');
-        latex = latex.replace(/\bdelta\b/g, '\\delta');
-        latex = latex.replace(/\bsigma\b/g, '\\sigma');
-        latex = latex.replace(/\bomega\b/g, '\\omega');
+        let current = evaluate(0, period0);
+        let iterations = 0;
+        while (current.error > tolerance) {
+            if (iterations++ >= maxIterations || !Number.isFinite(current.error)) return null;
+            
+            // Columns: d(residual)/ds = (M - I) tangent and d(residual)/dT = f at the end point
+            const [[m11, m12], [m21, m22]] = current.flow.monodromy;
+            const end = this.evaluateSystem(current.flow.x, current.flow.y);
+            const a11 = m11 * tangent.x + m12 * tangent.y - tangent.x;
+            const a21 = m21 * tangent.x + m22 * tangent.y - tangent.y;
+            const a12 = end.dx;
+            const a22 = end.dy;
+            const det = a11 * a22 - a12 * a21;
+            
+            let ds, dT;
+            if (Math.hypot(a11, a21) > 1e-4 && det !== 0) {
+                ds = (-current.residual.x * a22 + current.residual.y * a12) / det;
+                dT = (-current.residual.y * a11 + current.residual.x * a21) / det;
+            } else {
+                // Neutral family of orbits (e.g. around a center): only correct the period
+                ds = 0;
+                dT = -(current.residual.x * a12 + current.residual.y * a22) / (a12 * a12 + a22 * a22);
+            }
+            
+            // Damped step: halve until the closing error decreases
+            let accepted = null;
+            for (let lambda = 1; lambda > 1e-3; lambda /= 2) {
+                const period = current.period + lambda * dT;
+                if (!(period > 0)) continue;
+                const trial = evaluate(current.s + lambda * ds, period);
+                if (trial.error < current.error) {
+                    accepted = trial;
+                    break;
+                }
+            }
+            if (!accepted) return null;
+            current = accepted;
+        }
         
-        // Replace pi and e
-        latex = latex.replace(/\bpi\b/g, '\\pi');
-        latex = latex.replace(/\be\b/g, 'e');
+        const x = x0 + current.s * tangent.x;
+        const y = y0 + current.s * tangent.y;
+        const orbit = this.integrateVariational(x, y, current.period, true);
+        const xs = orbit.points.map(point => point.x);
+        const ys = orbit.points.map(point => point.y);
+        const xRange = [Math.min(...xs), Math.max(...xs)];
+        const yRange = [Math.min(...ys), Math.max(...ys)];
         
-        // Handle parentheses for functions
-        latex = latex.replace(/(\\(?:sin|cos|tan|exp|log|sqrt))\s*\(/g, '$1(');
+        // A "cycle" with no extent is an equilibrium the search collapsed onto
+        if (Math.max(xRange[1] - xRange[0], yRange[1] - yRange[0]) < 1e-3 * span) return null;
         
-        // Clean up spaces around operators
-        latex = latex.replace(/\s*([+\-=])\s*/g, ' $1 ');
-        latex = latex.replace(/\s+/g, ' ').trim();
+        const multiplier = Math.exp(orbit.divergence);
+        let stability = 'neutral';
+        if (multiplier < 1 - 1e-6) stability = 'stable';
+        else if (multiplier > 1 + 1e-6) stability = 'unstable';
         
-        return latex;
+        return {
+            points: orbit.points,
+            period: current.period,
+            xRange,
+            yRange,
+            multiplier,
+            exponent: orbit.divergence / current.period,
+            stability,
+            iterations
+        };
     }
     
-    renderEquations() {
-        const dxdtInput = document.getElementById('dx-dt').value;
-        const dydtInput = document.getElementById('dy-dt').value;
-        const equationDisplay = document.getElementById('equation-display');
-        const latexContainer = document.getElementById('latex-equations');
-        
-        if (!dxdtInput.trim() && !dydtInput.trim()) {
-            equationDisplay.classList.add('hidden');
+    updateOrbitResult() {
+        const result = document.getElementById('orbit-result');
+        const orbit = this.periodicOrbit;
+        if (!orbit) {
+            result.classList.add('hidden');
             return;
         }
         
-        equationDisplay.classList.remove('hidden');
-        
-        const dxdtLatex = this.convertToLatex(dxdtInput);
-        const dydtLatex = this.convertToLatex(dydtInput);
-        
-        const latexContent = `
-            \\begin{align}
-            \\frac{dx}{dt} &= ${dxdtLatex} \\\\
-            \\frac{dy}{dt} &= ${dydtLatex}
-            \\end{align}
+        const format = (value) => Number(value.toPrecision(5)).toString();
+        const labels = { stable: 'Stable limit cycle', unstable: 'Unstable limit cycle', neutral: 'Neutral cycle' };
+        result.innerHTML = `
+            <div class="fixed-point-title">${labels[orbit.stability]}</div>
+            <div>Period T = ${format(orbit.period)}</div>
+            <div>x ∈ [${format(orbit.xRange[0])}, ${format(orbit.xRange[1])}], amplitude ${format((orbit.xRange[1] - orbit.xRange[0]) / 2)}</div>
+            <div>y ∈ [${format(orbit.yRange[0])}, ${format(orbit.yRange[1])}], amplitude ${format((orbit.yRange[1] - orbit.yRange[0]) / 2)}</div>
+            <div>Floquet multiplier μ = ${format(orbit.multiplier)}</div>
+            <div>Floquet exponent ln(μ)/T = ${format(orbit.exponent)}</div>
         `;
-        
-        latexContainer.innerHTML = `$$${latexContent}$$`;
-        
-        // Re-render MathJax
-        if (window.MathJax) {
-            MathJax.typesetPromise([latexContainer]).catch((err) => {
-                console.log('MathJax rendering error:', err);
-            });
-        }
+        result.classList.remove('hidden');
     }
     
-    addParticleAtClick(event) {
+    clearPeriodicOrbit() {
+        this.periodicOrbit = null;
+        this.updateOrbitResult();
+        this.draw();
+    }
+    
+    computeBasins() {
         if (!this.dxdt || !this.dydt) {
             alert('Please load a system first by clicking "Update System"');
             return;
         }
         
-        const rect = this.canvas.getBoundingClientRect();
-        const canvasX = event.clientX - rect.left;
-        const canvasY = event.clientY - rect.top;
-        const worldX = this.canvasToWorldX(canvasX);
-        const worldY = this.canvasToWorldY(canvasY);
-        
-        // Get next color
-        const color = this.particleColors[this.colorIndex % this.particleColors.length];
-        const colorPaired = this.particleColorsPaired[this.colorIndex % this.particleColorsPaired.length];
-        this.colorIndex++;
-        
-        // Create new particle
-        const particle = new Particle(worldX, worldY, color, colorPaired);
-        this.particles.push(particle);
-        
-        // Update particle count
-        this.updateParticleCount();
-        
-        // Start simulation if not running
-        if (!this.simulationRunning) {
-            this.startSimulation();
+        const resolution = parseInt(document.getElementById('basin-resolution').value);
+        const transientTime = parseFloat(document.getElementById('basin-transient').value);
+        const sampleTime = parseFloat(document.getElementById('basin-sample-time').value);
+        if (!(resolution >= 8 && resolution <= 400) || !(transientTime >= 0) || !(sampleTime > 0)) {
+            alert('Please enter a grid resolution between 8 and 400 and positive integration times.');
+            return;
         }
         
-        // Show feedback
-        this.showClickFeedback(canvasX, canvasY, color);
+        this.cancelBasins();
         
-        // Redraw
-        this.draw();
-    }
-    
-    clearParticles() {
-        this.particles.forEach(particle => particle.active = false);
-        this.updateParticleCount();
-        this.draw();
-    }
-    
-    clearTrajectories() {
-        this.particles.forEach(particle => {
-            particle.trajectory = [{x: particle.x, y: particle.y}];
-        });
-        this.draw();
-    }
-    
-    resetAll() {
-        this.particles = [];
-        this.colorIndex = 0;
-        this.updateParticleCount();
-        this.draw();
+        // A coarse pass first so the picture appears quickly, then the full grid
+        // (cell centers of different grids do not coincide, so each pass is new work)
+        const levels = [...new Set([Math.max(8, Math.round(resolution / 4)), resolution])];
+        const run = {
+            system: this.getSystemSpec(),
+            bounds: this.getView(),
+            levels,
+            level: 0,
+            attractors: [],
+            job: null
+        };
+        this.basinRun = run;
+        
+        const status = document.getElementById('basin-status');
+        const computeLevel = () => {
+            const cells = levels[run.level];
+            const label = `Pass ${run.level + 1} / ${levels.length} (${cells} × ${cells})`;
+            status.textContent = `${label}: 0%`;
+            
+            const job = this.solver.run('basins', {
+                system: run.system,
+                bounds: run.bounds,
+                resolution: cells,
+                transientTime,
+                sampleTime
+            }, progress => {
+                status.textContent = `${label}: ${Math.round(100 * progress)}%`;
+            });
+            run.job = job;
+            
+            job.promise.then(result => {
+                if (this.basinRun !== run) return;
+                this.basins = this.classifyBasins(result, run.attractors);
+                this.updateBasinLegend();
+                this.draw();
+                
+                run.level++;
+                if (run.level < levels.length) {
+                    computeLevel();
+                } else {
+                    this.basinRun = null;
+                    status.textContent = `Done: ${cells} × ${cells} cells, ${this.basins.attractors.length} attractor(s)`;
+                }
+            }, error => {
+                if (this.basinRun !== run) return;
+                console.error('Error computing basins:', error);
+                this.basinRun = null;
+                status.textContent = `Error: ${error.message}`;
+            });
+        };
+        computeLevel();
     }
     
-    updateParticleCount() {
-        document.getElementById('particle-count').textContent = `Particles: ${this.particles.filter(p => p.active).length}`;
+    cancelBasins(message) {
+        if (this.basinRun) {
+            this.solver.cancel(this.basinRun.job);
+            this.basinRun = null;
+            if (message) {
+                document.getElementById('basin-status').textContent = message;
+            }
+        }
     }
     
-    startSimulation() {
-        if (this.simulationRunning) return;
-        
-        this.simulationRunning = true;
-        this.simulateStep();
+    clearBasins() {
+        // Basins belong to one system and parameter set
+        if (!this.basins && !this.basinRun) return;
+        this.cancelBasins();
+        this.basins = null;
+        this.updateBasinLegend();
+        document.getElementById('basin-status').textContent = 'Cleared: the system changed';
     }
     
-    simulateStep() {
-        if (!this.simulationRunning) return;
+    classifyBasins(result, attractors) {
+        // Group the cells' end states into attractors. The list is shared by all
+        // passes of a run so each attractor keeps its color as the grid refines.
+        const { bounds, resolution, cells } = result;
+        const span = Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+        const tolerance = 2e-2 * span;
+        const fixedPoints = this.getFixedPoints();
+        attractors.forEach(attractor => { attractor.count = 0; });
         
-        // Update all particles
-        this.particles.forEach(particle => {
-            particle.update(this.simulationSpeed, (x, y) => this.evaluateSystem(x, y));
+        const labels = new Int16Array(cells.length);
+        const counts = { diverged: 0, unconverged: 0 };
+        cells.forEach((cell, k) => {
+            if (cell.status === 'diverged' || cell.status === 'unconverged') {
+                counts[cell.status]++;
+                labels[k] = cell.status === 'diverged' ? -1 : -2;
+                return;
+            }
+            
+            let index = attractors.findIndex(attractor => attractor.type === cell.status && (cell.status === 'equilibrium'
+                ? Math.hypot(attractor.x - cell.x, attractor.y - cell.y) < tolerance
+                : ['xMin', 'xMax', 'yMin', 'yMax'].every(side => Math.abs(attractor[side] - cell[side]) < tolerance)));
+            if (index === -1) {
+                const attractor = { ...cell, type: cell.status, count: 0 };
+                if (attractor.type === 'equilibrium') {
+                    // Snap to the Newton-refined fixed point when there is one
+                    const fixedPoint = fixedPoints.find(point => Math.hypot(point.x - cell.x, point.y - cell.y) < tolerance);
+                    if (fixedPoint) {
+                        attractor.x = fixedPoint.x;
+                        attractor.y = fixedPoint.y;
+                        attractor.label = fixedPoint.label;
+                    }
+                }
+                index = attractors.push(attractor) - 1;
+            }
+            attractors[index].count++;
+            labels[k] = index;
         });
         
-        // Update particle count
-        this.updateParticleCount();
+        // One pixel per cell, top row first; scaled up without smoothing when drawn
+        const canvas = document.createElement('canvas');
+        canvas.width = resolution;
+        canvas.height = resolution;
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(resolution, resolution);
+        const rgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+        const palette = attractors.map((_, index) => rgb(this.basinColors[index % this.basinColors.length]));
+        const divergedColor = rgb(this.basinDivergedColor);
+        const unconvergedColor = rgb(this.basinUnconvergedColor);
+        for (let j = 0; j < resolution; j++) {
+            for (let i = 0; i < resolution; i++) {
+                const label = labels[j * resolution + i];
+                const color = label === -1 ? divergedColor : label === -2 ? unconvergedColor : palette[label];
+                const offset = 4 * ((resolution - 1 - j) * resolution + i);
+                image.data.set(color, offset);
+                image.data[offset + 3] = 255;
+            }
+        }
+        ctx.putImageData(image, 0, 0);
         
-        // Redraw
-        this.draw();
+        return {
+            bounds,
+            resolution,
+            canvas,
+            total: cells.length,
+            counts,
+            attractors: attractors.map((attractor, index) => ({ ...attractor, index })).filter(attractor => attractor.count > 0)
+        };
+    }
+    
+    updateBasinLegend() {
+        const legend = document.getElementById('basin-legend');
+        legend.innerHTML = '';
+        legend.classList.toggle('hidden', !this.basins);
+        if (!this.basins) return;
         
-        // Continue simulation if there are active particles
-        if (this.particles.length > 0 && this.particles.some(p => p.active)) {
-            requestAnimationFrame(() => this.simulateStep());
-        } else {
-            this.simulationRunning = false;
+        const format = (value) => Number(value.toPrecision(3)).toString();
+        const { attractors, counts, total } = this.basins;
+        const rows = attractors.map(attractor => ({
+            color: this.basinColors[attractor.index % this.basinColors.length],
+            name: attractor.type === 'equilibrium'
+                ? `${attractor.label || 'Equilibrium'} (${format(attractor.x)}, ${format(attractor.y)})`
+                : `Cycle x ∈ [${format(attractor.xMin)}, ${format(attractor.xMax)}], y ∈ [${format(attractor.yMin)}, ${format(attractor.yMax)}]`,
+            count: attractor.count
+        }));
+        if (counts.diverged > 0) {
+            rows.push({ color: this.basinDivergedColor, name: 'Diverged', count: counts.diverged });
         }
+        if (counts.unconverged > 0) {
+            rows.push({ color: this.basinUnconvergedColor, name: 'Not converged', count: counts.unconverged });
+        }
+        
+        rows.forEach(row => {
+            const item = document.createElement('div');
+            item.className = 'basin-legend-item';
+            
+            const swatch = document.createElement('span');
+            swatch.className = 'basin-legend-swatch';
+            swatch.style.background = row.color;
+            
+            const name = document.createElement('span');
+            name.textContent = row.name;
+            
+            const share = document.createElement('span');
+            share.className = 'basin-legend-share';
+            share.textContent = `${Math.round(100 * row.count / total)}%`;
+            
+            item.append(swatch, name, share);
+            legend.appendChild(item);
+        });
     }
     
     showClickFeedback(canvasX, canvasY, color) {
@@ -598,15 +3986,15 @@ class DynamicalSystemVisualizer {
         }, 200);
     }
     
-    evaluateSystem(x, y) {
+    evaluateSystem(x, y, t = this.fieldTime) {
         // Return zero vector if equations haven't been compiled yet
         if (!this.dxdt || !this.dydt) {
             return { dx: 0, dy: 0 };
         }
         
         try {
-            // Create scope with x, y and custom parameters
-            const scope = { x: x, y: y, ...this.parameters };
+            // Create scope with x, y, t and custom parameters
+            const scope = { x: x, y: y, t: t, ...this.parameters };
             const dx = this.dxdt.evaluate(scope);
             const dy = this.dydt.evaluate(scope);
             return { dx, dy };
@@ -616,6 +4004,281 @@ class DynamicalSystemVisualizer {
         }
     }
     
+    compileJacobian(dxdtNode, dydtNode) {
+        // Symbolic partial derivatives; null entries fall back to finite differences.
+        // mod(u, c) only differs from u by steps, so away from them it has u's derivative.
+        // math.js has no rule for atan2 (the polar angle), so each atan2(a, b) is held
+        // as a symbol and added by the chain rule, d atan2(a, b) = (b da - a db) / (a^2 + b^2).
+        const differentiate = (node, variable) => {
+            const unwrapped = node.transform(child => {
+                const wraps = child.isFunctionNode && child.fn.name === 'mod' && child.args.length === 2 &&
+                    child.args[1].filter(n => n.isSymbolNode && n.name === variable).length === 0;
+                return wraps ? child.args[0] : child;
+            });
+            const angles = {};
+            const held = unwrapped.transform(child => {
+                if (!(child.isFunctionNode && child.fn.name === 'atan2' && child.args.length === 2)) return child;
+                const name = `atan2_${Object.keys(angles).length}`;
+                angles[name] = child;
+                return new math.SymbolNode(name);
+            });
+            try {
+                let derivative = math.derivative(held, variable);
+                Object.entries(angles).forEach(([name, angle]) => {
+                    const [a, b] = angle.args;
+                    const chain = this.substituteSymbols(math.parse('(b * da - a * db) / (a^2 + b^2)'), {
+                        a, b, da: math.derivative(a, variable), db: math.derivative(b, variable)
+                    });
+                    const term = new math.OperatorNode('*', 'multiply', [math.derivative(held, name), chain]);
+                    derivative = new math.OperatorNode('+', 'add', [derivative, term]);
+                });
+                return this.substituteSymbols(derivative, angles).compile();
+            } catch (error) {
+                console.warn(`Symbolic derivative with respect to ${variable} failed, using finite differences:`, error.message);
+                return null;
+            }
+        };
+        
+        return {
+            dfdx: differentiate(dxdtNode, 'x'),
+            dfdy: differentiate(dxdtNode, 'y'),
+            dgdx: differentiate(dydtNode, 'x'),
+            dgdy: differentiate(dydtNode, 'y')
+        };
+    }
+    
+    evaluateJacobian(x, y) {
+        // Returns [[df/dx, df/dy], [dg/dx, dg/dy]] at (x, y) and the field time
+        const scope = { x: x, y: y, t: this.fieldTime, ...this.parameters };
+        const h = 1e-6 * Math.max(1, Math.abs(x), Math.abs(y));
+        const entry = (compiled, component, variable) => {
+            if (compiled) {
+                try {
+                    const value = compiled.evaluate(scope);
+                    if (typeof value === 'number' && Number.isFinite(value)) return value;
+                } catch (error) {
+                    // Fall through to finite differences, as for values that are not finite
+                }
+            }
+            const plus = variable === 'x' ? this.evaluateSystem(x + h, y) : this.evaluateSystem(x, y + h);
+            const minus = variable === 'x' ? this.evaluateSystem(x - h, y) : this.evaluateSystem(x, y - h);
+            return (plus[component] - minus[component]) / (2 * h);
+        };
+        
+        const jacobian = this.jacobian || {};
+        return [
+            [entry(jacobian.dfdx, 'dx', 'x'), entry(jacobian.dfdy, 'dx', 'y')],
+            [entry(jacobian.dgdx, 'dy', 'x'), entry(jacobian.dgdy, 'dy', 'y')]
+        ];
+    }
+    
+    newtonFixedPoint(x0, y0, period = 1) {
+        // Newton iteration on (dx/dt, dy/dt) = 0 starting from (x0, y0); for maps
+        // on f^period(p) - p = 0, whose roots include the points of that period
+        const maxIterations = 50;
+        const maxStep = Math.max(this.xMax - this.xMin, this.yMax - this.yMin);
+        const residual = (x, y) => {
+            if (this.systemType !== 'map') {
+                return { ...this.evaluateSystem(x, y), jacobian: () => this.evaluateJacobian(x, y) };
+            }
+            const image = this.iterateMapPoint(x, y, period);
+            const [[a, b], [c, d]] = image.jacobian;
+            return { dx: image.x - x, dy: image.y - y, jacobian: () => [[a - 1, b], [c, d - 1]] };
+        };
+        let x = x0;
+        let y = y0;
+        
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            const { dx: f, dy: g, jacobian } = residual(x, y);
+            if (!Number.isFinite(f) || !Number.isFinite(g)) return null;
+            if (Math.hypot(f, g) < 1e-12) return { x, y };
+            
+            const [[a, b], [c, d]] = jacobian();
+            const det = a * d - b * c;
+            if (!Number.isFinite(det) || Math.abs(det) < 1e-14) return null;
+            
+            // Solve J * delta = -F, limiting the step so a bad start cannot fly off
+            let stepX = -(d * f - b * g) / det;
+            let stepY = -(a * g - c * f) / det;
+            const stepLength = Math.hypot(stepX, stepY);
+            if (stepLength > maxStep) {
+                stepX *= maxStep / stepLength;
+                stepY *= maxStep / stepLength;
+            }
+            
+            x += stepX;
+            y += stepY;
+            if (Math.hypot(stepX, stepY) < 1e-12 * (1 + Math.hypot(x, y))) break;
+        }
+        
+        const { dx: f, dy: g } = residual(x, y);
+        return Math.hypot(f, g) < 1e-8 ? { x, y } : null;
+    }
+    
+    findFixedPoints() {
+        // Multi-start Newton over a grid of seeds covering the view; for maps
+        // once for each period up to maxPeriod
+        const seedsPerAxis = 12;
+        const spanX = this.xMax - this.xMin;
+        const spanY = this.yMax - this.yMin;
+        const mergeDistance = 1e-5 * Math.max(spanX, spanY);
+        const periods = this.systemType === 'map' ? this.maxPeriod : 1;
+        const fixedPoints = [];
+        
+        // Keep points inside the view and drop duplicates
+        const add = (point, analyze) => {
+            if (point.x < this.xMin || point.x > this.xMax || point.y < this.yMin || point.y > this.yMax) return;
+            if (fixedPoints.some(p => Math.hypot(p.x - point.x, p.y - point.y) < mergeDistance)) return;
+            fixedPoints.push(analyze(point));
+        };
+        
+        // The polar origin is singular for the conversion, so it is tried on its own
+        if (this.systemType !== 'map' && this.coordinates === 'polar') {
+            const root = this.newtonFixedPoint(0, 0);
+            if (root) add(root, point => this.analyzeFixedPoint(point.x, point.y));
+        }
+        
+        for (let period = 1; period <= periods; period++) {
+            for (let i = 0; i < seedsPerAxis; i++) {
+                for (let j = 0; j < seedsPerAxis; j++) {
+                    const x0 = this.xMin + (i + 0.5) * spanX / seedsPerAxis;
+                    const y0 = this.yMin + (j + 0.5) * spanY / seedsPerAxis;
+                    const root = this.newtonFixedPoint(x0, y0, period);
+                    if (!root) continue;
+                    
+                    if (this.systemType !== 'map') {
+                        add(root, point => this.analyzeFixedPoint(point.x, point.y));
+                        continue;
+                    }
+                    // A root of f^period may have a shorter period; the whole orbit is added
+                    const orbit = this.periodicOrbitPoints(root.x, root.y, period);
+                    orbit.forEach(point => add(point, () => this.analyzePeriodicPoint(point.x, point.y, orbit.length)));
+                }
+            }
+        }
+        
+        return fixedPoints;
+    }
+    
+    iterateMapPoint(x, y, count = 1) {
+        // Image of (x, y) under the map applied count times and the Jacobian of
+        // that composition, the product of the map's Jacobians along the orbit.
+        // The field is the displacement f(p) - p, so both add the identity back.
+        let point = { x, y };
+        let [[p, q], [r, s]] = [[1, 0], [0, 1]];
+        for (let k = 0; k < count && Number.isFinite(point.x) && Number.isFinite(point.y); k++) {
+            const { dx, dy } = this.evaluateSystem(point.x, point.y);
+            const [[a, b], [c, d]] = this.evaluateJacobian(point.x, point.y);
+            [[p, q], [r, s]] = [
+                [(a + 1) * p + b * r, (a + 1) * q + b * s],
+                [c * p + (d + 1) * r, c * q + (d + 1) * s]
+            ];
+            point = { x: point.x + dx, y: point.y + dy };
+        }
+        return { ...point, jacobian: [[p, q], [r, s]] };
+    }
+    
+    periodicOrbitPoints(x, y, period) {
+        // The orbit through a root of f^period(p) = p, cut at its least period
+        const orbit = [{ x, y }];
+        const scale = 1e-7 * (1 + Math.hypot(x, y));
+        for (let k = 1; k < period; k++) {
+            const previous = orbit[orbit.length - 1];
+            const next = this.iterateMapPoint(previous.x, previous.y);
+            if (Math.hypot(next.x - x, next.y - y) < scale) break;
+            orbit.push({ x: next.x, y: next.y });
+        }
+        return orbit;
+    }
+    
+    analyzeFixedPoint(x, y, jacobian = this.evaluateJacobian(x, y)) {
+        const [[a, b], [c, d]] = jacobian;
+        const trace = a + d;
+        const determinant = a * d - b * c;
+        const discriminant = trace * trace - 4 * determinant;
+        
+        // Eigenvalues of the 2x2 Jacobian
+        let eigenvalues;
+        if (discriminant >= 0) {
+            const root = Math.sqrt(discriminant);
+            eigenvalues = [{ re: (trace + root) / 2, im: 0 }, { re: (trace - root) / 2, im: 0 }];
+        } else {
+            const root = Math.sqrt(-discriminant);
+            eigenvalues = [{ re: trace / 2, im: root / 2 }, { re: trace / 2, im: -root / 2 }];
+        }
+        
+        // Unit eigenvectors for real eigenvalues, null for complex pairs
+        const eigenvectors = eigenvalues.map(({ re: lambda, im }) => {
+            if (im !== 0) return null;
+            let vx, vy;
+            if (Math.abs(b) >= Math.abs(c) && b !== 0) {
+                [vx, vy] = [b, lambda - a];
+            } else if (c !== 0) {
+                [vx, vy] = [lambda - d, c];
+            } else {
+                // Diagonal Jacobian: the eigenvectors are the coordinate axes
+                [vx, vy] = Math.abs(lambda - a) <= Math.abs(lambda - d) ? [1, 0] : [0, 1];
+            }
+            const length = Math.hypot(vx, vy);
+            return length > 0 ? { x: vx / length, y: vy / length } : null;
+        });
+        
+        return { x, y, jacobian, trace, determinant, discriminant, eigenvalues, eigenvectors, ...this.classifyFixedPoint(trace, determinant, discriminant) };
+    }
+    
+    classifyFixedPoint(trace, determinant, discriminant) {
+        // Trace-determinant classification of the linearization
+        const scale = Math.max(1, Math.abs(trace), Math.sqrt(Math.abs(determinant)));
+        const tolerance = 1e-9 * scale * scale;
+        
+        if (Math.abs(determinant) < tolerance) {
+            return { type: 'degenerate', stable: null, label: 'Degenerate (non-isolated)' };
+        }
+        if (determinant < 0) {
+            return { type: 'saddle', stable: false, label: 'Saddle' };
+        }
+        if (Math.abs(trace) < 1e-9 * scale) {
+            return { type: 'center', stable: null, label: 'Center (linear)' };
+        }
+        
+        const stable = trace < 0;
+        const type = discriminant < 0 ? 'spiral' : 'node';
+        return { type, stable, label: `${stable ? 'Stable' : 'Unstable'} ${type}` };
+    }
+    
+    analyzePeriodicPoint(x, y, period) {
+        // A point of a map's periodic orbit, linearized through f^period; the
+        // eigenvalues are the orbit's multipliers
+        const analysis = this.analyzeFixedPoint(x, y, this.iterateMapPoint(x, y, period).jacobian);
+        return { ...analysis, period, ...this.classifyMapPoint(analysis.eigenvalues, period) };
+    }
+    
+    classifyMapPoint(eigenvalues, period) {
+        // Multipliers inside the unit circle attract and outside it repel; a
+        // complex pair on the circle is an elliptic point, as in area-preserving maps
+        const moduli = eigenvalues.map(({ re, im }) => Math.hypot(re, im));
+        const tolerance = 1e-6;
+        let result;
+        if (eigenvalues[0].im !== 0 && Math.abs(moduli[0] - 1) < tolerance) {
+            result = { type: 'center', stable: null, label: 'elliptic point' };
+        } else if (moduli.some(modulus => Math.abs(modulus - 1) < tolerance)) {
+            result = { type: 'degenerate', stable: null, label: 'non-hyperbolic point' };
+        } else if ((moduli[0] < 1) !== (moduli[1] < 1)) {
+            result = { type: 'saddle', stable: false, label: 'saddle' };
+        } else {
+            const stable = moduli[0] < 1;
+            const type = eigenvalues[0].im !== 0 ? 'spiral' : 'node';
+            result = { type, stable, label: `${stable ? 'attracting' : 'repelling'} ${type}` };
+        }
+        
+        // A negative multiplier flips iterates from side to side
+        if (result.type !== 'degenerate' && eigenvalues.some(({ re, im }) => im === 0 && re < 0)) {
+            result.label += ' (flip)';
+        }
+        result.label = period > 1 ? `Period-${period} ${result.label}` : result.label[0].toUpperCase() + result.label.slice(1);
+        return result;
+    }
+    
     worldToCanvasX(x) {
         return ((x - this.xMin) / (this.xMax - this.xMin)) * this.canvasWidth;
     }
@@ -671,123 +4334,509 @@ class DynamicalSystemVisualizer {
             this.ctx.stroke();
         }
         
-        // Y-axis
-        if (this.xMin <= 0 && this.xMax >= 0) {
-            const x0 = this.worldToCanvasX(0);
-            this.ctx.beginPath();
-            this.ctx.moveTo(x0, 0);
-            this.ctx.lineTo(x0, this.canvasHeight);
-            this.ctx.stroke();
+        // Y-axis
+        if (this.xMin <= 0 && this.xMax >= 0) {
+            const x0 = this.worldToCanvasX(0);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x0, 0);
+            this.ctx.lineTo(x0, this.canvasHeight);
+            this.ctx.stroke();
+        }
+    }
+    
+    drawArrow(x1, y1, x2, y2, headlen = 8) {
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        
+        // Draw line
+        this.ctx.beginPath();
+        this.ctx.moveTo(x1, y1);
+        this.ctx.lineTo(x2, y2);
+        this.ctx.stroke();
+        
+        // Draw arrow head
+        this.ctx.beginPath();
+        this.ctx.moveTo(x2, y2);
+        this.ctx.lineTo(x2 - headlen * Math.cos(angle - Math.PI / 6), y2 - headlen * Math.sin(angle - Math.PI / 6));
+        this.ctx.moveTo(x2, y2);
+        this.ctx.lineTo(x2 - headlen * Math.cos(angle + Math.PI / 6), y2 - headlen * Math.sin(angle + Math.PI / 6));
+        this.ctx.stroke();
+    }
+    
+    drawFlowField() {
+        if (this.fieldRenderMode === 'streamlines') {
+            this.drawStreamlines();
+            return;
+        }
+        if (this.fieldRenderMode === 'lic') {
+            this.drawLic();
+            return;
+        }
+        
+        // Request fresh vectors if needed and draw the latest ones meanwhile
+        if (this.recalculateFlowField || !this.flowFieldCache) {
+            this.requestFlowField();
+        }
+        
+        if (this.flowFieldCache) {
+            this.drawCachedFlowField();
+        }
+    }
+    
+    requestFlowField() {
+        // A running job is left to finish; the flag makes draw() ask again afterwards
+        if (this.fieldJob) return;
+        this.recalculateFlowField = false;
+        
+        const job = this.solver.run('field', {
+            system: this.getSystemSpec(),
+            bounds: this.getView(),
+            density: this.gridDensity
+        }, progress => this.updateComputeStatus('field', progress));
+        this.fieldJob = job;
+        
+        job.promise.then(cache => {
+            if (this.fieldJob !== job) return;
+            this.fieldJob = null;
+            this.flowFieldCache = cache;
+            this.updateComputeStatus('field', null);
+            this.draw();
+        }, error => {
+            console.error('Error sampling flow field:', error);
+            this.fieldJob = null;
+            this.updateComputeStatus('field', null);
+        });
+    }
+    
+    arrowLengthFor(magnitude) {
+        const base = this.arrowScale * 20; // Base scale factor
+        const { maxMagnitude, medianMagnitude } = this.flowFieldCache;
+        
+        switch (this.arrowLength) {
+            case 'linear':
+                // Proportional to speed; the fastest arrow is twice the base length
+                return 2 * base * magnitude / maxMagnitude;
+            case 'log':
+                // Logarithmic over two decades below the fastest speed
+                return base * Math.log10(1 + 99 * magnitude / maxMagnitude);
+            case 'clamped':
+                // Proportional to speed relative to the median, capped at twice the base length
+                return Math.min(2 * base, base * magnitude / medianMagnitude);
+            default:
+                return base;
+        }
+    }
+    
+    speedFraction(magnitude) {
+        // Position of a speed within the cached range, in [0, 1]
+        const { minMagnitude, maxMagnitude } = this.flowFieldCache;
+        if (maxMagnitude <= minMagnitude) return 0.5;
+        
+        if (this.colorScale === 'log') {
+            const low = Math.log(Math.max(minMagnitude, maxMagnitude * 1e-6));
+            const high = Math.log(maxMagnitude);
+            return Math.min(1, Math.max(0, (Math.log(magnitude) - low) / (high - low)));
         }
+        return (magnitude - minMagnitude) / (maxMagnitude - minMagnitude);
     }
     
-    drawArrow(x1, y1, x2, y2) {
-        const headlen = 8; // Arrow head length
-        const angle = Math.atan2(y2 - y1, x2 - x1);
+    colormapColor(fraction) {
+        const anchors = COLORMAPS[this.colormap] || COLORMAPS.viridis;
+        const position = Math.min(1, Math.max(0, fraction)) * (anchors.length - 1);
+        const index = Math.min(Math.floor(position), anchors.length - 2);
+        const blend = position - index;
+        const [r, g, b] = anchors[index].map((channel, k) => Math.round(channel + (anchors[index + 1][k] - channel) * blend));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+    
+    drawCachedFlowField() {
+        this.ctx.strokeStyle = this.arrowColor;
+        this.ctx.lineWidth = 1.5;
+        const colored = this.arrowColoring === 'speed';
         
-        // Draw line
-        this.ctx.beginPath();
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.stroke();
+        // Draw all cached arrows
+        this.flowFieldCache.samples.forEach(sample => {
+            const length = this.arrowLengthFor(sample.magnitude);
+            if (!(length > 0.5)) return;
+            
+            const startX = this.worldToCanvasX(sample.x);
+            const startY = this.worldToCanvasY(sample.y);
+            const endX = startX + (sample.dx / sample.magnitude) * length;
+            const endY = startY - (sample.dy / sample.magnitude) * length; // Flip Y for canvas coordinates
+            
+            if (colored) {
+                this.ctx.strokeStyle = this.colormapColor(this.speedFraction(sample.magnitude));
+            }
+            this.drawArrow(startX, startY, endX, endY, Math.min(8, 0.5 * length));
+        });
         
-        // Draw arrow head
-        this.ctx.beginPath();
-        this.ctx.moveTo(x2, y2);
-        this.ctx.lineTo(x2 - headlen * Math.cos(angle - Math.PI / 6), y2 - headlen * Math.sin(angle - Math.PI / 6));
-        this.ctx.moveTo(x2, y2);
-        this.ctx.lineTo(x2 - headlen * Math.cos(angle + Math.PI / 6), y2 - headlen * Math.sin(angle + Math.PI / 6));
-        this.ctx.stroke();
+        if (colored) {
+            this.drawSpeedLegend();
+        }
     }
     
-    drawFlowField() {
-        // Check if we can use cached flow field
-        if (!this.recalculateFlowField && this.flowFieldCache) {
-            this.drawCachedFlowField();
-            this.recalculateFlowField = false;
-            return;
+    drawSpeedLegend() {
+        // Colorbar in the bottom-right corner, built from small rectangles so it
+        // also renders in the SVG export
+        const { minMagnitude, maxMagnitude } = this.flowFieldCache;
+        const barWidth = 160;
+        const barHeight = 12;
+        const padding = 10;
+        const boxWidth = barWidth + 2 * padding;
+        const boxHeight = barHeight + 44;
+        const left = this.canvasWidth - boxWidth - 10;
+        const top = this.canvasHeight - boxHeight - 10;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        this.ctx.fillRect(left, top, boxWidth, boxHeight);
+        this.ctx.strokeStyle = '#ced4da';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(left, top, boxWidth, boxHeight);
+        
+        const segments = 40;
+        for (let k = 0; k < segments; k++) {
+            this.ctx.fillStyle = this.colormapColor((k + 0.5) / segments);
+            this.ctx.fillRect(left + padding + k * barWidth / segments, top + 22, barWidth / segments + 0.5, barHeight);
         }
         
-        // Generate and cache new flow field
-        this.generateFlowFieldCache();
-        this.drawCachedFlowField();
+        const format = (value) => Number(value.toPrecision(3)).toString();
+        const low = this.colorScale === 'log' ? Math.max(minMagnitude, maxMagnitude * 1e-6) : minMagnitude;
+        this.ctx.fillStyle = '#333';
+        this.ctx.font = '11px Arial';
+        this.ctx.textBaseline = 'top';
+        this.ctx.textAlign = 'center';
+        const quantity = this.systemType === 'map' ? 'step |f(p) − p|' : 'speed |f|';
+        this.ctx.fillText(`${quantity} (${this.colorScale})`, left + boxWidth / 2, top + 6);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(format(low), left + padding, top + 38);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(format(maxMagnitude), left + padding + barWidth, top + 38);
+        this.ctx.restore();
+    }
+    
+    canvasDirection(canvasX, canvasY) {
+        // Unit direction of the flow in canvas pixels, or null where the field vanishes
+        const { dx, dy } = this.evaluateSystem(this.canvasToWorldX(canvasX), this.canvasToWorldY(canvasY));
+        const vx = dx * this.canvasWidth / (this.xMax - this.xMin);
+        const vy = -dy * this.canvasHeight / (this.yMax - this.yMin);
+        const length = Math.hypot(vx, vy);
+        if (!Number.isFinite(length) || length < 1e-12) return null;
+        return { x: vx / length, y: vy / length };
     }
     
-    generateFlowFieldCache() {
-        this.flowFieldCache = [];
+    drawStreamlines() {
+        // Check if we can use cached streamlines
+        if (this.recalculateStreamlines || !this.streamlinesCache) {
+            this.generateStreamlinesCache();
+            this.recalculateStreamlines = false;
+        }
+        
         this.ctx.strokeStyle = this.arrowColor;
+        this.ctx.fillStyle = this.arrowColor;
         this.ctx.lineWidth = 1.5;
         
-        const stepX = (this.xMax - this.xMin) / this.gridDensity;
-        const stepY = (this.yMax - this.yMin) / this.gridDensity;
+        this.streamlinesCache.forEach(streamline => {
+            const points = streamline.points;
+            this.ctx.beginPath();
+            this.ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) {
+                this.ctx.lineTo(points[i].x, points[i].y);
+            }
+            this.ctx.stroke();
+            
+            // Filled arrowheads show the direction of motion
+            const headlen = 7;
+            streamline.arrows.forEach(({ x, y, angle }) => {
+                this.ctx.beginPath();
+                this.ctx.moveTo(x + headlen / 2 * Math.cos(angle), y + headlen / 2 * Math.sin(angle));
+                this.ctx.lineTo(x - headlen / 2 * Math.cos(angle) - headlen / 2 * Math.sin(angle), y - headlen / 2 * Math.sin(angle) + headlen / 2 * Math.cos(angle));
+                this.ctx.lineTo(x - headlen / 2 * Math.cos(angle) + headlen / 2 * Math.sin(angle), y - headlen / 2 * Math.sin(angle) - headlen / 2 * Math.cos(angle));
+                this.ctx.closePath();
+                this.ctx.fill();
+            });
+        });
+    }
+    
+    generateStreamlinesCache() {
+        // Evenly spaced streamlines (Jobard & Lefer): new seeds are placed one
+        // separation distance beside existing streamlines, and integration stops
+        // when a streamline gets closer than half that distance to another one.
+        const separation = this.canvasWidth / this.gridDensity;
+        const testDistance = separation / 2;
+        const stepLength = 1.5; // Canvas pixels per integration step
+        const maxSteps = 4000;
+        const arrowSpacing = 120; // Canvas pixels between arrowheads
+        
+        // Occupancy grid of accepted streamline points for proximity queries
+        const cellSize = testDistance;
+        const columns = Math.ceil(this.canvasWidth / cellSize) + 1;
+        const rows = Math.ceil(this.canvasHeight / cellSize) + 1;
+        const cells = Array.from({ length: columns * rows }, () => []);
+        const cellOf = (x, y) => Math.floor(y / cellSize) * columns + Math.floor(x / cellSize);
+        const isFree = (x, y, distance, ignoreId) => {
+            const cx = Math.floor(x / cellSize);
+            const cy = Math.floor(y / cellSize);
+            const reach = Math.ceil(distance / cellSize);
+            for (let j = cy - reach; j <= cy + reach; j++) {
+                for (let i = cx - reach; i <= cx + reach; i++) {
+                    if (i < 0 || j < 0 || i >= columns || j >= rows) continue;
+                    for (const point of cells[j * columns + i]) {
+                        if (point.id !== ignoreId && Math.hypot(point.x - x, point.y - y) < distance) return false;
+                    }
+                }
+            }
+            return true;
+        };
+        const inside = (x, y) => x >= 0 && y >= 0 && x <= this.canvasWidth && y <= this.canvasHeight;
         
-        for (let i = 0; i <= this.gridDensity; i++) {
-            for (let j = 0; j <= this.gridDensity; j++) {
-                const x = this.xMin + i * stepX;
-                const y = this.yMin + j * stepY;
+        // Midpoint (RK2) tracing along the normalized field in one direction
+        const trace = (seedX, seedY, sign, id) => {
+            const points = [];
+            let x = seedX;
+            let y = seedY;
+            for (let step = 0; step < maxSteps; step++) {
+                const d1 = this.canvasDirection(x, y);
+                if (!d1) break;
+                const d2 = this.canvasDirection(x + sign * d1.x * stepLength / 2, y + sign * d1.y * stepLength / 2);
+                if (!d2) break;
+                const nextX = x + sign * d2.x * stepLength;
+                const nextY = y + sign * d2.y * stepLength;
+                if (!inside(nextX, nextY) || !isFree(nextX, nextY, testDistance, id)) break;
                 
-                const { dx, dy } = this.evaluateSystem(x, y);
+                // Stop closed orbits once the line comes back to its own start
+                if (step * stepLength > 2 * separation && Math.hypot(nextX - seedX, nextY - seedY) < stepLength) break;
                 
-                // Normalize and scale the vector
-                const magnitude = Math.sqrt(dx * dx + dy * dy);
-                if (magnitude > 0) {
-                    const scale = this.arrowScale * 20; // Base scale factor
-                    const normalizedDx = (dx / magnitude) * scale;
-                    const normalizedDy = (dy / magnitude) * scale;
-                    
-                    const startX = this.worldToCanvasX(x);
-                    const startY = this.worldToCanvasY(y);
-                    const endX = startX + normalizedDx;
-                    const endY = startY - normalizedDy; // Flip Y for canvas coordinates
-                    
-                    // Store arrow data in cache
-                    this.flowFieldCache.push({
-                        startX, startY, endX, endY
-                    });
+                x = nextX;
+                y = nextY;
+                points.push({ x, y });
+            }
+            return points;
+        };
+        
+        const streamlines = [];
+        const queue = [];
+        const tryStreamline = (seedX, seedY) => {
+            if (!inside(seedX, seedY) || !isFree(seedX, seedY, separation)) return;
+            
+            const id = streamlines.length;
+            const backward = trace(seedX, seedY, -1, id);
+            const forward = trace(seedX, seedY, 1, id);
+            const points = [...backward.reverse(), { x: seedX, y: seedY }, ...forward];
+            if (points.length < 10) return;
+            
+            // Register points, then queue perpendicular seeds on both sides
+            points.forEach(point => cells[cellOf(point.x, point.y)].push({ x: point.x, y: point.y, id }));
+            const arrows = [];
+            let arcLength = 0;
+            let nextArrow = arrowSpacing / 2;
+            for (let i = 1; i < points.length; i++) {
+                const ddx = points[i].x - points[i - 1].x;
+                const ddy = points[i].y - points[i - 1].y;
+                arcLength += Math.hypot(ddx, ddy);
+                if (arcLength >= nextArrow) {
+                    arrows.push({ x: points[i].x, y: points[i].y, angle: Math.atan2(ddy, ddx) });
+                    nextArrow += arrowSpacing;
+                }
+                if (i % 5 === 0) {
+                    const length = Math.hypot(ddx, ddy) || 1;
+                    queue.push({ x: points[i].x - ddy / length * separation, y: points[i].y + ddx / length * separation });
+                    queue.push({ x: points[i].x + ddy / length * separation, y: points[i].y - ddx / length * separation });
                 }
             }
+            streamlines.push({ points, arrows });
+        };
+        
+        // Start from the center, grow outward from existing streamlines and
+        // finally fill any region the seeding did not reach from a coarse grid
+        tryStreamline(this.canvasWidth / 2, this.canvasHeight / 2);
+        const drainQueue = () => {
+            while (queue.length > 0) {
+                const seed = queue.shift();
+                tryStreamline(seed.x, seed.y);
+            }
+        };
+        drainQueue();
+        for (let gy = separation / 2; gy < this.canvasHeight; gy += separation) {
+            for (let gx = separation / 2; gx < this.canvasWidth; gx += separation) {
+                tryStreamline(gx, gy);
+                drainQueue();
+            }
         }
         
-        this.cacheValid = true;
+        this.streamlinesCache = streamlines;
     }
     
-    drawCachedFlowField() {
-        this.ctx.strokeStyle = this.arrowColor;
-        this.ctx.lineWidth = 1.5;
+    drawLic() {
+        // Check if we can use the cached texture
+        if (this.recalculateLic || !this.licCache) {
+            this.generateLicCache();
+            this.recalculateLic = false;
+        }
+        // Recoloring does not need a new convolution
+        if (this.licCache.color !== this.arrowColor) {
+            this.colorizeLicCache();
+        }
         
-        // Draw all cached arrows
-        this.flowFieldCache.forEach(arrow => {
-            this.drawArrow(arrow.startX, arrow.startY, arrow.endX, arrow.endY);
-        });
+        this.ctx.drawImage(this.licCache.canvas, 0, 0, this.canvasWidth, this.canvasHeight);
+    }
+    
+    generateLicCache() {
+        // Line integral convolution: white noise averaged along short streamlines
+        // through every texel, which smears the noise along the flow
+        const width = Math.round(this.canvasWidth / 2);
+        const height = Math.round(this.canvasHeight / 2);
+        const kernelLength = 15; // Texels traced in each direction
+        
+        // Sample the field on a coarse grid and interpolate bilinearly in between
+        const samples = 120;
+        const field = new Float32Array((samples + 1) * (samples + 1) * 2);
+        for (let j = 0; j <= samples; j++) {
+            for (let i = 0; i <= samples; i++) {
+                const direction = this.canvasDirection(i / samples * this.canvasWidth, j / samples * this.canvasHeight);
+                const index = (j * (samples + 1) + i) * 2;
+                field[index] = direction ? direction.x : 0;
+                field[index + 1] = direction ? direction.y : 0;
+            }
+        }
+        const directionAt = (u, v) => {
+            // u, v in texels
+            const gx = Math.min(Math.max(u / width * samples, 0), samples - 1e-9);
+            const gy = Math.min(Math.max(v / height * samples, 0), samples - 1e-9);
+            const i = Math.floor(gx);
+            const j = Math.floor(gy);
+            const fx = gx - i;
+            const fy = gy - j;
+            const at = (ii, jj, k) => field[(jj * (samples + 1) + ii) * 2 + k];
+            const vx = (1 - fx) * (1 - fy) * at(i, j, 0) + fx * (1 - fy) * at(i + 1, j, 0) + (1 - fx) * fy * at(i, j + 1, 0) + fx * fy * at(i + 1, j + 1, 0);
+            const vy = (1 - fx) * (1 - fy) * at(i, j, 1) + fx * (1 - fy) * at(i + 1, j, 1) + (1 - fx) * fy * at(i, j + 1, 1) + fx * fy * at(i + 1, j + 1, 1);
+            const length = Math.hypot(vx, vy);
+            return length > 1e-9 ? [vx / length, vy / length] : null;
+        };
+        
+        const noise = new Float32Array(width * height);
+        for (let k = 0; k < noise.length; k++) noise[k] = Math.random();
+        
+        const intensities = new Float32Array(width * height);
+        for (let v = 0; v < height; v++) {
+            for (let u = 0; u < width; u++) {
+                let sum = noise[v * width + u];
+                let count = 1;
+                [1, -1].forEach(sign => {
+                    let px = u + 0.5;
+                    let py = v + 0.5;
+                    for (let step = 0; step < kernelLength; step++) {
+                        const direction = directionAt(px, py);
+                        if (!direction) break;
+                        px += sign * direction[0];
+                        py += sign * direction[1];
+                        if (px < 0 || py < 0 || px >= width || py >= height) break;
+                        sum += noise[Math.floor(py) * width + Math.floor(px)];
+                        count++;
+                    }
+                });
+                intensities[v * width + u] = sum / count;
+            }
+        }
+        
+        // Averaging shrinks the contrast, so stretch around the mean
+        let mean = 0;
+        intensities.forEach(value => { mean += value; });
+        mean /= intensities.length;
+        let variance = 0;
+        intensities.forEach(value => { variance += (value - mean) ** 2; });
+        const deviation = Math.sqrt(variance / intensities.length) || 1;
+        for (let k = 0; k < intensities.length; k++) {
+            intensities[k] = Math.min(1, Math.max(0, (intensities[k] - mean) / (4 * deviation) + 0.5));
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        this.licCache = { width, height, intensities, canvas, color: null };
+        this.colorizeLicCache();
+    }
+    
+    colorizeLicCache() {
+        // Blend from white to the arrow color by texture intensity
+        const { width, height, intensities, canvas } = this.licCache;
+        const red = parseInt(this.arrowColor.slice(1, 3), 16);
+        const green = parseInt(this.arrowColor.slice(3, 5), 16);
+        const blue = parseInt(this.arrowColor.slice(5, 7), 16);
+        const ctx = canvas.getContext('2d');
+        const image = ctx.createImageData(width, height);
+        for (let k = 0; k < intensities.length; k++) {
+            const value = intensities[k];
+            image.data[4 * k] = 255 + (red - 255) * value;
+            image.data[4 * k + 1] = 255 + (green - 255) * value;
+            image.data[4 * k + 2] = 255 + (blue - 255) * value;
+            image.data[4 * k + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+        this.licCache.color = this.arrowColor;
     }
     
     drawNullclines() {
         if (!this.showNullclines) return;
-        // Check if we can use cached nullclines
-        if (!this.recalculateNullclines && this.nullclinesCache) {
-            this.drawCachedNullclines();
-            this.recalculateNullclines = false;
-            return;
+        if (this.recalculateNullclines || !this.nullclinesCache) {
+            this.requestNullclines();
         }
         
-        // Generate and cache new nullclines
-        this.generateNullclinesCache();
-        this.drawCachedNullclines();
+        if (this.nullclinesCache) {
+            this.drawCachedNullclines();
+        }
     }
     
-    generateNullclinesCache() {
-        this.nullclinesCache = {
-            dxdt: [],
-            dydt: []
-        };
+    requestNullclines() {
+        if (this.nullclinesJob) return;
+        this.recalculateNullclines = false;
         
-        // Generate dx/dt = 0 nullcline
-        this.generateNullcline(true);
+        const job = this.solver.run('nullclines', {
+            system: this.getSystemSpec(),
+            bounds: this.getView(),
+            resolution: this.nullclineResolution
+        }, progress => this.updateComputeStatus('nullclines', progress));
+        this.nullclinesJob = job;
         
-        // Generate dy/dt = 0 nullcline
-        this.generateNullcline(false);
+        job.promise.then(cache => {
+            if (this.nullclinesJob !== job) return;
+            this.nullclinesJob = null;
+            this.nullclinesCache = cache;
+            this.updateComputeStatus('nullclines', null);
+            this.draw();
+        }, error => {
+            console.error('Error computing nullclines:', error);
+            this.nullclinesJob = null;
+            this.updateComputeStatus('nullclines', null);
+        });
+    }
+    
+    getSystemSpec() {
+        // What the solver needs to rebuild the system: equations, parameters and field time
+        return { ...this.systemSpec, parameters: this.parameters, time: this.fieldTime };
+    }
+    
+    cancelFieldJobs() {
+        this.solver.cancel(this.fieldJob);
+        this.solver.cancel(this.nullclinesJob);
+        this.fieldJob = null;
+        this.nullclinesJob = null;
+        this.updateComputeStatus('field', null);
+        this.updateComputeStatus('nullclines', null);
+    }
+    
+    updateComputeStatus(kind, progress) {
+        // Progress of slow jobs in the corner of the canvas; null marks a job as finished
+        const labels = { field: 'Sampling flow field', nullclines: 'Tracing nullclines' };
+        if (progress === null) {
+            delete this.computeProgress[kind];
+        } else {
+            this.computeProgress[kind] = progress;
+        }
         
-        this.cacheValid = true;
+        const lines = Object.entries(this.computeProgress)
+            .map(([name, value]) => `${labels[name]}: ${Math.round(100 * value)}%`);
+        this.computeStatus.textContent = lines.join(' · ');
+        this.computeStatus.classList.toggle('hidden', lines.length === 0);
     }
     
     drawCachedNullclines() {
@@ -800,57 +4849,357 @@ class DynamicalSystemVisualizer {
         // Draw dy/dt = 0 nullcline (blue)
         this.ctx.strokeStyle = '#3498db';
         this.drawCachedNullcline(this.nullclinesCache.dydt);
+        
+        // Highlight where the two nullcline sets cross
+        this.ctx.strokeStyle = '#f1c40f';
+        this.ctx.lineWidth = 3;
+        this.nullclinesCache.intersections.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(this.worldToCanvasX(point.x), this.worldToCanvasY(point.y), 9, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        });
     }
     
-    generateNullcline(isDxDt) {
-        const resolution = 200;
-        const stepX = (this.xMax - this.xMin) / resolution;
-        const cacheKey = isDxDt ? 'dxdt' : 'dydt';
-        const points = [];
-        
-        for (let i = 0; i <= resolution; i++) {
-            const x = this.xMin + i * stepX;
+    drawCachedNullcline(polylines) {
+        // Each branch is a separate path so disconnected pieces are never joined
+        polylines.forEach(points => {
+            if (points.length < 2) return;
             
-            // Find y where the derivative is approximately zero
-            for (let y = this.yMin; y <= this.yMax; y += (this.yMax - this.yMin) / 100) {
-                const { dx, dy } = this.evaluateSystem(x, y);
-                const value = isDxDt ? dx : dy;
-                
-                if (Math.abs(value) < 0.05) { // Threshold for "zero"
-                    const canvasX = this.worldToCanvasX(x);
-                    const canvasY = this.worldToCanvasY(y);
-                    points.push({x: canvasX, y: canvasY});
-                    break;
-                }
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.worldToCanvasX(points[0].x), this.worldToCanvasY(points[0].y));
+            
+            for (let i = 1; i < points.length; i++) {
+                this.ctx.lineTo(this.worldToCanvasX(points[i].x), this.worldToCanvasY(points[i].y));
             }
+            
+            this.ctx.stroke();
+        });
+    }
+    
+    getFixedPoints() {
+        // Check if we can use cached fixed points
+        if (this.recalculateFixedPoints || !this.fixedPointsCache) {
+            this.fixedPointsCache = this.findFixedPoints();
+            this.recalculateFixedPoints = false;
+            
+            // Cached markers were replaced, drop stale references
+            this.hoveredFixedPoint = null;
+            this.pinnedFixedPoint = null;
+            this.updateFixedPointInfo();
         }
+        return this.fixedPointsCache;
+    }
+    
+    drawFixedPoints() {
+        if (!this.showFixedPoints) return;
         
-        // Store points in cache
-        this.nullclinesCache[cacheKey] = points;
+        this.getFixedPoints().forEach(fixedPoint => {
+            const highlighted = fixedPoint === this.hoveredFixedPoint || fixedPoint === this.pinnedFixedPoint;
+            this.drawFixedPointMarker(fixedPoint, highlighted);
+        });
     }
     
-    drawCachedNullcline(points) {
-        if (points.length < 2) return;
+    drawSeparatrices() {
+        // Traced by integrating the flow, so not drawn for maps
+        if (!this.showSeparatrices || this.systemType === 'map') return;
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(points[0].x, points[0].y);
+        if (this.recalculateSeparatrices || !this.separatricesCache) {
+            this.separatricesCache = this.generateSeparatricesCache();
+            this.recalculateSeparatrices = false;
+        }
+        
+        this.ctx.save();
+        this.ctx.lineWidth = 2.5;
+        // Unstable manifolds solid orange, stable manifolds dashed teal
+        this.separatricesCache.forEach(({ stable, points }) => {
+            this.ctx.strokeStyle = stable ? '#16a085' : '#d35400';
+            this.ctx.setLineDash(stable ? [8, 5] : []);
+            this.ctx.beginPath();
+            points.forEach((point, i) => {
+                const cx = this.worldToCanvasX(point.x);
+                const cy = this.worldToCanvasY(point.y);
+                if (i === 0) {
+                    this.ctx.moveTo(cx, cy);
+                } else {
+                    this.ctx.lineTo(cx, cy);
+                }
+            });
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+    
+    generateSeparatricesCache() {
+        // Seed each saddle a small distance along both eigenvector directions;
+        // the unstable branches run forward in time, the stable ones backward
+        const spanX = this.xMax - this.xMin;
+        const spanY = this.yMax - this.yMin;
+        const offset = 1e-5 * Math.max(spanX, spanY);
+        const separatrices = [];
+        
+        this.getFixedPoints().forEach(fixedPoint => {
+            if (fixedPoint.type !== 'saddle') return;
+            fixedPoint.eigenvalues.forEach((eigenvalue, i) => {
+                const vector = fixedPoint.eigenvectors[i];
+                if (!vector) return;
+                const stable = eigenvalue.re < 0;
+                [1, -1].forEach(sign => {
+                    const start = {
+                        x: fixedPoint.x + sign * offset * vector.x,
+                        y: fixedPoint.y + sign * offset * vector.y
+                    };
+                    const points = this.traceSeparatrix(fixedPoint, start, stable ? -1 : 1);
+                    separatrices.push({ fixedPoint, stable, points });
+                });
+            });
+        });
+        return separatrices;
+    }
+    
+    traceSeparatrix(fixedPoint, start, direction) {
+        // Adaptive RK45 with a step cap so the curve stays smooth on screen;
+        // stops on leaving an enlarged view box or settling onto an equilibrium
+        const spanX = this.xMax - this.xMin;
+        const spanY = this.yMax - this.yMin;
+        const span = Math.max(spanX, spanY);
+        const centerX = (this.xMin + this.xMax) / 2;
+        const centerY = (this.yMin + this.yMax) / 2;
+        const maxSegment = span / 200;
+        const maxPoints = 5000;
+        const maxTime = 200;
+        const options = { absoluteTolerance: 1e-9, relativeTolerance: 1e-9 };
+        const evaluator = (x, y) => this.evaluateSystem(x, y);
+        
+        const points = [{ x: fixedPoint.x, y: fixedPoint.y }, { x: start.x, y: start.y }];
+        let state = { x: start.x, y: start.y, t: 0 };
+        let h = 1e-3 * direction;
         
-        for (let i = 1; i < points.length; i++) {
-            this.ctx.lineTo(points[i].x, points[i].y);
+        while (points.length < maxPoints && Math.abs(state.t) < maxTime) {
+            // Limit the step so that one step covers at most maxSegment of arc length
+            const { dx, dy } = evaluator(state.x, state.y);
+            const speed = Math.hypot(dx, dy);
+            if (!(speed > 1e-9 * span)) break;
+            const hMax = maxSegment / speed;
+            if (Math.abs(h) > hMax) h = hMax * direction;
+            
+            const next = Integrators.rk45.step(evaluator, state, h, options);
+            if (!Number.isFinite(next.x) || !Number.isFinite(next.y)) break;
+            state = { x: next.x, y: next.y, t: next.t };
+            h = next.hNext;
+            points.push({ x: state.x, y: state.y });
+            
+            if (Math.abs(state.x - centerX) > spanX || Math.abs(state.y - centerY) > spanY) break;
         }
+        return points;
+    }
+    
+    drawBasins() {
+        if (!this.showBasins || !this.basins) return;
+        
+        // The raster stays where it was computed in world coordinates
+        const { bounds, canvas } = this.basins;
+        const left = this.worldToCanvasX(bounds.xMin);
+        const top = this.worldToCanvasY(bounds.yMax);
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(canvas, left, top, this.worldToCanvasX(bounds.xMax) - left, this.worldToCanvasY(bounds.yMin) - top);
+        this.ctx.restore();
+    }
+    
+    drawPeriodicOrbit() {
+        if (!this.periodicOrbit) return;
         
+        // Wide translucent halo under a dark line so the orbit stands out over trajectories
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.periodicOrbit.points.forEach((point, i) => {
+            const cx = this.worldToCanvasX(point.x);
+            const cy = this.worldToCanvasY(point.y);
+            if (i === 0) {
+                this.ctx.moveTo(cx, cy);
+            } else {
+                this.ctx.lineTo(cx, cy);
+            }
+        });
+        this.ctx.closePath();
+        this.ctx.strokeStyle = 'rgba(241, 196, 15, 0.6)';
+        this.ctx.lineWidth = 8;
+        this.ctx.stroke();
+        this.ctx.strokeStyle = '#2c3e50';
+        this.ctx.lineWidth = 2.5;
+        this.ctx.setLineDash(this.periodicOrbit.stability === 'unstable' ? [6, 4] : []);
         this.ctx.stroke();
+        this.ctx.restore();
     }
     
-    draw() {
-        // Clear canvas
+    drawFixedPointMarker(fixedPoint, highlighted) {
+        const ctx = this.ctx;
+        const cx = this.worldToCanvasX(fixedPoint.x);
+        const cy = this.worldToCanvasY(fixedPoint.y);
+        const radius = 6;
+        const colors = {
+            stable: '#27ae60',
+            unstable: '#c0392b',
+            center: '#8e44ad',
+            saddle: '#e67e22',
+            degenerate: '#7f8c8d'
+        };
+        
+        let color;
+        if (fixedPoint.type === 'saddle' || fixedPoint.type === 'center' || fixedPoint.type === 'degenerate') {
+            color = colors[fixedPoint.type];
+        } else {
+            color = fixedPoint.stable ? colors.stable : colors.unstable;
+        }
+        
+        if (highlighted) {
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius + 5, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        // Stable points are filled, unstable ones hollow
+        ctx.fillStyle = fixedPoint.stable ? color : 'white';
+        ctx.beginPath();
+        
+        switch (fixedPoint.type) {
+            case 'node':
+                // Circle
+                ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+                break;
+            case 'spiral':
+                // Diamond
+                ctx.moveTo(cx, cy - radius - 1);
+                ctx.lineTo(cx + radius + 1, cy);
+                ctx.lineTo(cx, cy + radius + 1);
+                ctx.lineTo(cx - radius - 1, cy);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+                break;
+            case 'center':
+                // Ring with a center dot
+                ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+                ctx.fill();
+                ctx.stroke();
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(cx, cy, 2, 0, 2 * Math.PI);
+                ctx.fill();
+                break;
+            case 'saddle':
+                // Square with a cross
+                ctx.rect(cx - radius, cy - radius, 2 * radius, 2 * radius);
+                ctx.fill();
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(cx - radius, cy - radius);
+                ctx.lineTo(cx + radius, cy + radius);
+                ctx.moveTo(cx + radius, cy - radius);
+                ctx.lineTo(cx - radius, cy + radius);
+                ctx.stroke();
+                break;
+            default:
+                // Triangle for degenerate points
+                ctx.moveTo(cx, cy - radius);
+                ctx.lineTo(cx + radius, cy + radius);
+                ctx.lineTo(cx - radius, cy + radius);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+        }
+        
+        // Points of a map's periodic orbits are labelled with their period
+        if (fixedPoint.period > 1) {
+            ctx.fillStyle = color;
+            ctx.font = 'bold 11px Arial';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(String(fixedPoint.period), cx + radius + 2, cy - radius);
+        }
+    }
+    
+    findFixedPointAt(canvasX, canvasY) {
+        if (!this.showFixedPoints || !this.fixedPointsCache) return null;
+        
+        const hitRadius = 9;
+        let closest = null;
+        let closestDistance = hitRadius;
+        this.fixedPointsCache.forEach(fixedPoint => {
+            const distance = Math.hypot(this.worldToCanvasX(fixedPoint.x) - canvasX, this.worldToCanvasY(fixedPoint.y) - canvasY);
+            if (distance <= closestDistance) {
+                closest = fixedPoint;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+    
+    updateFixedPointInfo() {
+        const fixedPoint = this.hoveredFixedPoint || this.pinnedFixedPoint;
+        if (!fixedPoint) {
+            this.fixedPointInfo.classList.add('hidden');
+            return;
+        }
+        
+        const format = (value) => {
+            const rounded = Math.abs(value) < 1e-10 ? 0 : value;
+            return Number(rounded.toPrecision(4)).toString();
+        };
+        const formatEigenvalue = ({ re, im }) => {
+            if (im === 0) return format(re);
+            return `${format(re)} ${im < 0 ? '−' : '+'} ${format(Math.abs(im))}i`;
+        };
+        const [[a, b], [c, d]] = fixedPoint.jacobian;
+        
+        // For maps the matrix is the Jacobian of f^period and its eigenvalues
+        // are multipliers, whose moduli matter
+        const map = fixedPoint.period !== undefined;
+        const matrix = map ? `Df${fixedPoint.period > 1 ? `<sup>${fixedPoint.period}</sup>` : ''}` : 'J';
+        const eigenvalue = (index) => {
+            const value = fixedPoint.eigenvalues[index];
+            const symbol = map ? `μ${'₁₂'[index]}` : `λ${'₁₂'[index]}`;
+            return `<div>${symbol} = ${formatEigenvalue(value)}${map ? `, |${symbol}| = ${format(Math.hypot(value.re, value.im))}` : ''}</div>`;
+        };
+        
+        this.fixedPointInfo.innerHTML = `
+            <div class="fixed-point-title">${fixedPoint.label}</div>
+            <div>(x, y) = (${format(fixedPoint.x)}, ${format(fixedPoint.y)})</div>
+            <table class="jacobian-matrix">
+                <tr><td rowspan="2">${matrix} =</td><td>${format(a)}</td><td>${format(b)}</td></tr>
+                <tr><td>${format(c)}</td><td>${format(d)}</td></tr>
+            </table>
+            ${eigenvalue(0)}
+            ${eigenvalue(1)}
+            <div>tr ${matrix} = ${format(fixedPoint.trace)}, det ${matrix} = ${format(fixedPoint.determinant)}</div>
+        `;
+        
+        // Place the box next to the marker, flipping sides near the canvas edges
+        const cx = this.worldToCanvasX(fixedPoint.x);
+        const cy = this.worldToCanvasY(fixedPoint.y);
+        this.fixedPointInfo.classList.remove('hidden');
+        const left = cx > this.canvasWidth / 2 ? cx - this.fixedPointInfo.offsetWidth - 15 : cx + 15;
+        const top = cy > this.canvasHeight / 2 ? cy - this.fixedPointInfo.offsetHeight - 15 : cy + 15;
+        this.fixedPointInfo.style.left = `${left}px`;
+        this.fixedPointInfo.style.top = `${top}px`;
+    }
+    
+    drawScene() {
+        // Clear to an opaque white background, so PNG and SVG exports are not
+        // transparent (on screen the canvas CSS background is white as well)
         this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
         
         // Draw components
         this.drawGrid();
-
-        // Initialize series
-        this.echartsSeries = [];
         
         // Show message if no equations loaded
         if (!this.dxdt || !this.dydt) {
@@ -860,39 +5209,237 @@ class DynamicalSystemVisualizer {
             this.ctx.fillText('Click "Update System" to visualize flow field', 
                 this.canvasWidth / 2, this.canvasHeight / 2);
         } else {
+            this.drawBasins();
             this.drawFlowField();
             this.drawNullclines();
+            this.drawSeparatrices();
             
             // Draw particles and trajectories
             this.particles.forEach(particle => {
                 particle.draw(this.ctx, this.worldToCanvasX.bind(this), this.worldToCanvasY.bind(this));
             });
-
-            // Draw all particles on the echarts
+            this.drawParticleHighlight();
+            this.drawChartHoverMarkers();
+            
+            this.drawPeriodicOrbit();
             
+            // Fixed point markers go on top of the trajectories
+            this.drawFixedPoints();
+        }
+    }
+    
+    draw() {
+        this.drawScene();
+        this.drawSelectionBox();
+        this.drawSeedPreview();
+
+        this.updateTimeSeriesChart();
+    }
+    
+    updateTimeSeriesChart() {
+        // One series per particle and plotted quantity, named after the particle
+        // so the legend toggles a particle; x and y share a name in 'both' mode
+        const map = this.systemType === 'map';
+        const labels = { both: 'x, y', x: 'x', y: 'y', speed: map ? '|f(p) − p|' : '|f|', distance: 'Distance' };
+        this.observables.forEach((observable, index) => {
+            labels[`observable-${index}`] = observable.name;
+        });
+        const quantities = this.seriesMode === 'both' ? ['x', 'y'] : [this.seriesMode];
+        this.echartsSeries = [];
+        
+        if (this.dxdt && this.dydt) {
             this.particles.forEach(particle => {
-                this.echartsSeries.push({
-                    name: 'x',
-                    showSymbol: false,
-                    data: particle.trajectory.map(point => [point.t, point.x] ),
-                    color: particle.color,
-                    type: 'line'
-                });
-                this.echartsSeries.push({
-                    name: 'y',
-                    showSymbol: false,
-                    data: particle.trajectory.map(point => [point.t, point.y] ),
-                    color: particle.colorPaired,
-                    type: 'line'
+                const highlighted = particle === this.highlightedParticle;
+                const dimmed = this.highlightedParticle !== null && !highlighted;
+                quantities.forEach(quantity => {
+                    // Iterates of a map are marked, with a thin line to follow the sequence
+                    this.echartsSeries.push({
+                        name: particle.label,
+                        quantity: labels[quantity],
+                        showSymbol: particle.discrete,
+                        symbolSize: 4,
+                        itemStyle: { opacity: dimmed ? 0.25 : 1 },
+                        data: this.seriesData(particle, quantity),
+                        color: quantity === 'y' && this.seriesMode === 'both' ? particle.colorPaired : particle.color,
+                        lineStyle: {
+                            type: particle.direction < 0 ? 'dashed' : 'solid',
+                            width: (highlighted ? 2 : 1) * (particle.discrete ? 1 : 2),
+                            opacity: dimmed ? 0.25 : 1
+                        },
+                        z: highlighted ? 3 : 2,
+                        type: 'line'
+                    });
                 });
             });
         }
         this.echartsOption.series = this.echartsSeries;
-        if (this.echartsOption.series.length > 0) {
-            this.echarts.setOption(this.echartsOption, {lazyUpdate: true});
-        } else {
-            this.echarts.setOption({ series: [] }, {replaceMerge: ['series'],lazyUpdate: false});
+        this.echartsOption.xAxis.name = map ? 'Iteration n' : 'Time';
+        this.echartsOption.yAxis.name = labels[this.seriesMode];
+        this.echarts.setOption(this.echartsOption, { replaceMerge: ['series'], lazyUpdate: this.echartsSeries.length > 0 });
+        this.updateObservableDrift();
+    }
+    
+    trajectoryValues(particle, key, evaluate) {
+        // Derived values along a trajectory; evaluating expressions is slow, so
+        // only points added since the last frame are evaluated
+        let entries = this.trajectoryValueCache.get(particle);
+        if (!entries) {
+            entries = {};
+            this.trajectoryValueCache.set(particle, entries);
+        }
+        let values = entries[key];
+        if (!values || values.length > particle.trajectory.length) {
+            values = entries[key] = [];
+        }
+        for (let i = values.length; i < particle.trajectory.length; i++) {
+            values.push(evaluate(particle.trajectory[i]));
+        }
+        return values;
+    }
+    
+    updateObservableDrift() {
+        // Largest change of each observable along each trajectory, relative to its
+        // starting value (absolute when that is zero); for conserved quantities
+        // this measures the integration error. While particles move the table is
+        // rebuilt twice a second, and once more when they stop.
+        const now = Date.now();
+        if (this.simulationRunning && now - this.lastDriftUpdate < 500) return;
+        this.lastDriftUpdate = now;
+        const container = document.getElementById('observable-drift');
+        const particles = this.dxdt && this.dydt ? this.particles : [];
+        if (this.observables.length === 0 || particles.length === 0) {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+            return;
+        }
+        
+        const header = this.observables.map(observable => `<th>Drift of ${this.escapeHtml(observable.name)}</th>`).join('');
+        const rows = particles.map(particle => {
+            const cells = this.observables.map((observable, index) => {
+                const values = this.trajectoryValues(particle, `observable-${index}`, point => this.evaluateObservable(observable, point));
+                const initial = values[0];
+                if (!Number.isFinite(initial)) return '<td>–</td>';
+                
+                let drift = 0;
+                values.forEach(value => {
+                    if (Number.isFinite(value)) drift = Math.max(drift, Math.abs(value - initial));
+                });
+                const relative = Math.abs(initial) > 1e-12;
+                if (relative) drift /= Math.abs(initial);
+                const warning = drift > 1e-3 ? ' class="drift-warning"' : '';
+                return `<td${warning}>${drift.toExponential(2)}${relative ? '' : ' (abs)'}</td>`;
+            }).join('');
+            return `<tr><td style="color: ${particle.color}">${this.escapeHtml(particle.label)}</td>${cells}</tr>`;
+        }).join('');
+        
+        container.innerHTML = `<table><thead><tr><th>Particle</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+        container.classList.remove('hidden');
+    }
+    
+    seriesData(particle, quantity) {
+        switch (quantity) {
+            case 'x':
+                return particle.trajectory.map(point => [point.t, point.x]);
+            case 'y':
+                return particle.trajectory.map(point => [point.t, point.y]);
+            case 'distance': {
+                const { x, y } = this.distancePoint;
+                return particle.trajectory.map(point => [point.t, Math.hypot(point.x - x, point.y - y)]);
+            }
+            case 'speed': {
+                const speeds = this.trajectoryValues(particle, 'speed', point => {
+                    const { dx, dy } = this.evaluateSystem(point.x, point.y, point.t);
+                    return Math.hypot(dx, dy);
+                });
+                return particle.trajectory.map((point, i) => [point.t, speeds[i]]);
+            }
+        }
+        
+        const observable = this.observables[parseInt(quantity.replace('observable-', ''))];
+        if (observable) {
+            const values = this.trajectoryValues(particle, quantity, point => this.evaluateObservable(observable, point));
+            return particle.trajectory.map((point, i) => [point.t, values[i]]);
+        }
+        return [];
+    }
+    
+    setChartHoverTime(time) {
+        if (time === this.chartHoverTime) return;
+        this.chartHoverTime = time;
+        this.drawScene();
+    }
+    
+    positionAtTime(particle, time) {
+        // Linear interpolation along the trajectory, or the nearest iterate of an
+        // orbit; times run in the particle's direction
+        const trajectory = particle.trajectory;
+        const s = particle.direction;
+        if (trajectory.length === 0 || s * (time - trajectory[0].t) < 0 || s * (time - trajectory[trajectory.length - 1].t) > 0) {
+            return null;
+        }
+        
+        let low = 0;
+        let high = trajectory.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (s * (trajectory[middle].t - time) <= 0) {
+                low = middle;
+            } else {
+                high = middle;
+            }
         }
+        const a = trajectory[low];
+        const b = trajectory[high];
+        if (particle.discrete) {
+            return Math.abs(time - a.t) <= Math.abs(b.t - time) ? { x: a.x, y: a.y } : { x: b.x, y: b.y };
+        }
+        const fraction = b.t === a.t ? 0 : (time - a.t) / (b.t - a.t);
+        return { x: a.x + fraction * (b.x - a.x), y: a.y + fraction * (b.y - a.y) };
+    }
+    
+    drawChartHoverMarkers() {
+        // Where each particle shown in the chart was at the hovered time
+        if (this.chartHoverTime === null) return;
+        
+        this.ctx.lineWidth = 2;
+        this.particles.forEach(particle => {
+            if (this.hiddenSeries[particle.label]) return;
+            const position = this.positionAtTime(particle, this.chartHoverTime);
+            if (!position) return;
+            
+            this.ctx.fillStyle = 'white';
+            this.ctx.strokeStyle = particle.color;
+            this.ctx.beginPath();
+            this.ctx.arc(this.worldToCanvasX(position.x), this.worldToCanvasY(position.y), 6, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.stroke();
+        });
+    }
+    
+    drawParticleHighlight() {
+        const particle = this.highlightedParticle;
+        if (!particle) return;
+        
+        this.ctx.strokeStyle = particle.color;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(this.worldToCanvasX(particle.x), this.worldToCanvasY(particle.y), 10, 0, 2 * Math.PI);
+        this.ctx.stroke();
+    }
+    
+    findParticleAt(canvasX, canvasY) {
+        // The particle whose current position was clicked, if any
+        const hitRadius = 8;
+        let closest = null;
+        let closestDistance = hitRadius;
+        this.particles.forEach(particle => {
+            const distance = Math.hypot(this.worldToCanvasX(particle.x) - canvasX, this.worldToCanvasY(particle.y) - canvasY);
+            if (distance <= closestDistance) {
+                closest = particle;
+                closestDistance = distance;
+            }
+        });
+        return closest;
     }
     
 
@@ -924,7 +5471,10 @@ function initializeVisualizer() {
         return;
     }
     
-    new DynamicalSystemVisualizer();
+    const visualizer = new DynamicalSystemVisualizer();
+    
+    // Restore a shared session from the URL, if any
+    visualizer.loadStateFromUrl(window.location);
 }
 
 // Initialize the visualizer when everything is loaded
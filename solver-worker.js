@@ -0,0 +1,45 @@
+// Solver worker: runs the jobs in solver.js off the main thread.
+//   in:  { type: 'run', id, job, payload } and { type: 'cancel', id }
+//   out: { type: 'progress', id, progress }, { type: 'result', id, result }
+//        and { type: 'error', id, message }
+importScripts('https://cdnjs.cloudflare.com/ajax/libs/mathjs/14.6.0/math.min.js', 'solver.js');
+
+// Ids of the jobs still running, and those of them asked to stop
+const runningJobs = new Set();
+const cancelledJobs = new Set();
+
+function finishJob(id) {
+    runningJobs.delete(id);
+    cancelledJobs.delete(id);
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    if (message.type === 'cancel') {
+        // Cancels for jobs that already ended are dropped
+        if (runningJobs.has(message.id)) cancelledJobs.add(message.id);
+        return;
+    }
+    
+    if (message.type === 'run') {
+        const { id } = message;
+        runningJobs.add(id);
+        runSolverJob(message.job, message.payload, {
+            isCancelled: () => {
+                if (!cancelledJobs.has(id)) return false;
+                finishJob(id);
+                return true;
+            },
+            onProgress: (progress) => self.postMessage({ type: 'progress', id, progress }),
+            onDone: (result) => {
+                finishJob(id);
+                self.postMessage({ type: 'result', id, result });
+            },
+            onError: (error) => {
+                finishJob(id);
+                self.postMessage({ type: 'error', id, message: error.message });
+            }
+        });
+    }
+};
@@ -0,0 +1,678 @@
+// Numerical core shared by the page and the solver worker (solver-worker.js):
+// integrators, flow field sampling, nullcline contouring, particle integration,
+// map iteration and basin classification. Nothing in here touches the DOM, so
+// it also runs in Node:
+//
+//   const { createSystem, integrate } = require('./solver.js');
+//   const system = createSystem('y', '-x - gamma * y', { gamma: 0.1 });
+//   const points = integrate(system, 1, 0, { integrator: 'rk45', duration: 20 });
+//
+// Equations given as strings need math.js (the `math` global in the browser,
+// the mathjs package in Node); equations given as functions do not.
+
+// Dormand-Prince 5(4) Butcher tableau
+const DORMAND_PRINCE = {
+    c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+    a: [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ],
+    // Difference between the 5th and embedded 4th order weights
+    e: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40]
+};
+
+// Integration schemes for particles. Each step takes the vector field
+// f(x, y, t) -> {dx, dy}, the current state {x, y, t} and a (possibly negative)
+// step h, and returns the new state along with the step to try next.
+const Integrators = {
+    euler: {
+        label: 'Euler',
+        adaptive: false,
+        step(f, state, h) {
+            const k = f(state.x, state.y, state.t);
+            return { x: state.x + h * k.dx, y: state.y + h * k.dy, t: state.t + h, hNext: h };
+        }
+    },
+    
+    rk4: {
+        label: 'Runge-Kutta 4',
+        adaptive: false,
+        step(f, state, h) {
+            const { x, y, t } = state;
+            const k1 = f(x, y, t);
+            const k2 = f(x + k1.dx * h / 2, y + k1.dy * h / 2, t + h / 2);
+            const k3 = f(x + k2.dx * h / 2, y + k2.dy * h / 2, t + h / 2);
+            const k4 = f(x + k3.dx * h, y + k3.dy * h, t + h);
+            
+            const dx = (k1.dx + 2 * k2.dx + 2 * k3.dx + k4.dx) / 6;
+            const dy = (k1.dy + 2 * k2.dy + 2 * k3.dy + k4.dy) / 6;
+            return { x: x + dx * h, y: y + dy * h, t: t + h, hNext: h };
+        }
+    },
+    
+    rk45: {
+        label: 'Dormand-Prince RK45 (adaptive)',
+        adaptive: true,
+        step(f, state, h, options) {
+            const { absoluteTolerance, relativeTolerance } = options;
+            const minStep = 1e-10;
+            const { c, a, e } = DORMAND_PRINCE;
+            const { x, y, t } = state;
+            
+            // Retry with smaller steps until the local error estimate is within tolerance
+            for (;;) {
+                const k = [];
+                for (let stage = 0; stage < 7; stage++) {
+                    let sx = x;
+                    let sy = y;
+                    for (let j = 0; j < stage; j++) {
+                        sx += h * a[stage][j] * k[j].dx;
+                        sy += h * a[stage][j] * k[j].dy;
+                    }
+                    k.push(f(sx, sy, t + c[stage] * h));
+                }
+                
+                // The last stage row holds the 5th order weights
+                const newX = x + h * a[6].reduce((sum, w, j) => sum + w * k[j].dx, 0);
+                const newY = y + h * a[6].reduce((sum, w, j) => sum + w * k[j].dy, 0);
+                const errorX = h * e.reduce((sum, w, j) => sum + w * k[j].dx, 0);
+                const errorY = h * e.reduce((sum, w, j) => sum + w * k[j].dy, 0);
+                const scaleX = absoluteTolerance + relativeTolerance * Math.max(Math.abs(x), Math.abs(newX));
+                const scaleY = absoluteTolerance + relativeTolerance * Math.max(Math.abs(y), Math.abs(newY));
+                const error = Math.sqrt(((errorX / scaleX) ** 2 + (errorY / scaleY) ** 2) / 2);
+                
+                // Standard step size controller with safety factor and growth limits
+                const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -1 / 5)));
+                if (error <= 1 || Math.abs(h) <= minStep || !Number.isFinite(error)) {
+                    return { x: newX, y: newY, t: t + h, hNext: h * factor };
+                }
+                h *= factor;
+            }
+        }
+    },
+    
+    leapfrog: {
+        label: 'Leapfrog (symplectic)',
+        adaptive: false,
+        // Kick-drift-kick treating y as the momentum of x. Symplectic for
+        // separable systems dx/dt = f(y), dy/dt = g(x); second order otherwise.
+        step(f, state, h) {
+            const { x, y, t } = state;
+            const yHalf = y + h / 2 * f(x, y, t).dy;
+            const newX = x + h * f(x, yHalf, t + h / 2).dx;
+            const newY = yHalf + h / 2 * f(newX, yHalf, t + h).dy;
+            return { x: newX, y: newY, t: t + h, hNext: h };
+        }
+    }
+};
+
+function createSystem(dxdt, dydt, parameters = {}) {
+    // Each equation is a math.js expression in x, y, t and the parameters, or a
+    // function (x, y, t, parameters) -> number. Evaluation errors of expressions
+    // give a zero vector, as in the visualizer's evaluateSystem.
+    const compile = (equation) => {
+        if (typeof equation === 'function') {
+            return (x, y, t) => equation(x, y, t, parameters);
+        }
+        const mathjs = typeof math !== 'undefined' ? math : require('mathjs');
+        const compiled = mathjs.compile(equation);
+        return (x, y, t) => compiled.evaluate({ x: x, y: y, t: t, ...parameters });
+    };
+    const f = compile(dxdt);
+    const g = compile(dydt);
+    
+    return {
+        dxdt,
+        dydt,
+        parameters,
+        evaluate(x, y, t = 0) {
+            try {
+                return { dx: f(x, y, t), dy: g(x, y, t) };
+            } catch (error) {
+                return { dx: 0, dy: 0 };
+            }
+        }
+    };
+}
+
+function integrate(system, x0, y0, options = {}) {
+    // Trajectory from (x0, y0) at time t0 over the given duration (negative to
+    // go backward in time); the last step is shortened to end exactly at t0 + duration.
+    // Returns the points [{ x, y, t }] including the initial condition.
+    const {
+        integrator = 'rk4',
+        stepSize = 0.01,
+        t0 = 0,
+        duration = 10,
+        absoluteTolerance = 1e-6,
+        relativeTolerance = 1e-6,
+        maxSteps = 1e6
+    } = options;
+    const scheme = Integrators[integrator];
+    if (!scheme) {
+        throw new Error(`Unknown integrator "${integrator}"`);
+    }
+    
+    const f = (x, y, t) => system.evaluate(x, y, t);
+    const tEnd = t0 + duration;
+    const direction = duration < 0 ? -1 : 1;
+    const settings = { absoluteTolerance, relativeTolerance };
+    let h = direction * Math.abs(stepSize);
+    let state = { x: x0, y: y0, t: t0 };
+    const points = [state];
+    
+    for (let i = 0; i < maxSteps && direction * (tEnd - state.t) > 1e-12 * Math.max(1, Math.abs(tEnd)); i++) {
+        const remaining = tEnd - state.t;
+        const next = scheme.step(f, state, Math.abs(h) < Math.abs(remaining) ? h : remaining, settings);
+        state = { x: next.x, y: next.y, t: next.t };
+        points.push(state);
+        if (!Number.isFinite(state.x) || !Number.isFinite(state.y)) break;
+        if (scheme.adaptive) h = next.hNext;
+    }
+    return points;
+}
+
+function iterate(map, x0, y0, options = {}) {
+    // Orbit of (x0, y0) under a map built with createSystem, whose two equations
+    // give x_{n+1} and y_{n+1}; t holds the iteration number n. Returns the
+    // points [{ x, y, t }] including the initial condition, stopping early if
+    // the orbit leaves the finite numbers.
+    const { n0 = 0, iterations = 100 } = options;
+    const f = mapFunction(map.evaluate);
+    const state = { x: x0, y: y0, t: n0, startTime: n0, active: true };
+    const { points } = advanceOrbit(state, { iterationsPerFrame: iterations, maxIterations: iterations }, f);
+    return [{ x: x0, y: y0, t: n0 }, ...points];
+}
+
+function sampleField(system, bounds, density = 20, time = 0) {
+    // Field vectors on a (density + 1)^2 grid over bounds { xMin, xMax, yMin, yMax }
+    return runToCompletion(sampleFlowField((x, y) => system.evaluate(x, y, time), bounds, density));
+}
+
+function nullclines(system, bounds, resolution = 150, time = 0) {
+    // { dxdt, dydt, intersections }: polylines of dx/dt = 0 and dy/dt = 0 and their crossings
+    return runToCompletion(traceNullclines((x, y) => system.evaluate(x, y, time), bounds, resolution));
+}
+
+function basinsOfAttraction(system, bounds, resolution = 20, options = {}) {
+    // End states of the cell centers of a resolution x resolution grid, row by
+    // row from yMin: { bounds, resolution, cells: [{ status, ... }] } with status
+    // 'equilibrium' (and x, y), 'cycle' (and its box), 'diverged' or 'unconverged'
+    const { transientTime = 100, sampleTime = 20, time = 0 } = options;
+    return runToCompletion(computeBasins(system.evaluate, bounds, resolution, transientTime, sampleTime, time));
+}
+
+function runToCompletion(job) {
+    for (;;) {
+        const { value, done } = job.next();
+        if (done) return value;
+    }
+}
+
+function* sampleFlowField(f, bounds, density) {
+    // Raw vectors and magnitudes on a (density + 1)^2 grid; arrow geometry and
+    // colors are derived when drawing. Yields the fraction done after each column.
+    const samples = [];
+    const stepX = (bounds.xMax - bounds.xMin) / density;
+    const stepY = (bounds.yMax - bounds.yMin) / density;
+    
+    for (let i = 0; i <= density; i++) {
+        for (let j = 0; j <= density; j++) {
+            const x = bounds.xMin + i * stepX;
+            const y = bounds.yMin + j * stepY;
+            
+            const { dx, dy } = f(x, y);
+            const magnitude = Math.sqrt(dx * dx + dy * dy);
+            if (magnitude > 0 && Number.isFinite(magnitude)) {
+                samples.push({ x, y, dx, dy, magnitude });
+            }
+        }
+        yield (i + 1) / (density + 1);
+    }
+    
+    const magnitudes = samples.map(sample => sample.magnitude).sort((a, b) => a - b);
+    return {
+        samples,
+        minMagnitude: magnitudes.length > 0 ? magnitudes[0] : 0,
+        maxMagnitude: magnitudes.length > 0 ? magnitudes[magnitudes.length - 1] : 0,
+        medianMagnitude: magnitudes.length > 0 ? magnitudes[Math.floor(magnitudes.length / 2)] : 0
+    };
+}
+
+function* traceNullclines(f, bounds, resolution) {
+    const stepX = (bounds.xMax - bounds.xMin) / resolution;
+    const stepY = (bounds.yMax - bounds.yMin) / resolution;
+    
+    // Sample both components once on a (resolution + 1)^2 grid
+    const dxValues = new Float64Array((resolution + 1) * (resolution + 1));
+    const dyValues = new Float64Array((resolution + 1) * (resolution + 1));
+    for (let j = 0; j <= resolution; j++) {
+        for (let i = 0; i <= resolution; i++) {
+            const { dx, dy } = f(bounds.xMin + i * stepX, bounds.yMin + j * stepY);
+            dxValues[j * (resolution + 1) + i] = typeof dx === 'number' ? dx : NaN;
+            dyValues[j * (resolution + 1) + i] = typeof dy === 'number' ? dy : NaN;
+        }
+        // Sampling is most of the work; contouring takes the remaining tenth
+        yield 0.9 * (j + 1) / (resolution + 1);
+    }
+    
+    const dxdt = extractZeroContour(dxValues, resolution, bounds);
+    const dydt = extractZeroContour(dyValues, resolution, bounds);
+    
+    return {
+        dxdt: dxdt.polylines,
+        dydt: dydt.polylines,
+        intersections: findContourIntersections(dxdt.cellSegments, dydt.cellSegments, resolution, bounds)
+    };
+}
+
+function extractZeroContour(values, resolution, bounds) {
+    // Marching squares on the zero level set of a sampled grid. Segment end
+    // points live on cell edges, identified by keys so that segments sharing
+    // an edge can be chained into polylines afterwards.
+    const stride = resolution + 1;
+    const stepX = (bounds.xMax - bounds.xMin) / resolution;
+    const stepY = (bounds.yMax - bounds.yMin) / resolution;
+    const segments = [];
+    const cellSegments = new Map();
+    
+    // Interpolated crossing on the edge between grid nodes (i0, j0) and (i1, j1)
+    const crossing = (i0, j0, i1, j1) => {
+        const v0 = values[j0 * stride + i0];
+        const v1 = values[j1 * stride + i1];
+        const t = v0 / (v0 - v1);
+        return {
+            key: `${i0},${j0},${i1},${j1}`,
+            x: bounds.xMin + (i0 + t * (i1 - i0)) * stepX,
+            y: bounds.yMin + (j0 + t * (j1 - j0)) * stepY
+        };
+    };
+    
+    for (let j = 0; j < resolution; j++) {
+        for (let i = 0; i < resolution; i++) {
+            const v00 = values[j * stride + i];
+            const v10 = values[j * stride + i + 1];
+            const v11 = values[(j + 1) * stride + i + 1];
+            const v01 = values[(j + 1) * stride + i];
+            if (!Number.isFinite(v00) || !Number.isFinite(v10) || !Number.isFinite(v11) || !Number.isFinite(v01)) continue;
+            
+            // Zero counts as positive so a contour lying exactly on grid nodes is found once
+            const caseIndex = (v00 >= 0 ? 1 : 0) | (v10 >= 0 ? 2 : 0) | (v11 >= 0 ? 4 : 0) | (v01 >= 0 ? 8 : 0);
+            if (caseIndex === 0 || caseIndex === 15) continue;
+            
+            const bottom = () => crossing(i, j, i + 1, j);
+            const right = () => crossing(i + 1, j, i + 1, j + 1);
+            const top = () => crossing(i, j + 1, i + 1, j + 1);
+            const left = () => crossing(i, j, i, j + 1);
+            
+            let pairs;
+            switch (caseIndex) {
+                case 1: case 14: pairs = [[left, bottom]]; break;
+                case 2: case 13: pairs = [[bottom, right]]; break;
+                case 3: case 12: pairs = [[left, right]]; break;
+                case 4: case 11: pairs = [[right, top]]; break;
+                case 6: case 9: pairs = [[bottom, top]]; break;
+                case 7: case 8: pairs = [[left, top]]; break;
+                case 5: case 10: {
+                    // Saddle cell: the center value decides which corners connect
+                    const centerPositive = (v00 + v10 + v11 + v01) / 4 >= 0;
+                    const v00Positive = caseIndex === 5;
+                    pairs = centerPositive === v00Positive
+                        ? [[left, top], [bottom, right]]
+                        : [[left, bottom], [right, top]];
+                    break;
+                }
+            }
+            
+            const cellIndex = j * resolution + i;
+            pairs.forEach(([startEdge, endEdge]) => {
+                const segment = [startEdge(), endEdge()];
+                segments.push(segment);
+                if (!cellSegments.has(cellIndex)) cellSegments.set(cellIndex, []);
+                cellSegments.get(cellIndex).push(segment);
+            });
+        }
+    }
+    
+    return { polylines: joinContourSegments(segments), cellSegments };
+}
+
+function joinContourSegments(segments) {
+    // Chain segments that share an edge crossing into disconnected polylines
+    const byKey = new Map();
+    segments.forEach((segment, index) => {
+        segment.forEach(point => {
+            if (!byKey.has(point.key)) byKey.set(point.key, []);
+            byKey.get(point.key).push(index);
+        });
+    });
+    
+    const used = new Uint8Array(segments.length);
+    const polylines = [];
+    
+    const walk = (startIndex, startPoint) => {
+        const polyline = [{ x: startPoint.x, y: startPoint.y }];
+        let index = startIndex;
+        let point = startPoint;
+        while (index !== undefined && !used[index]) {
+            used[index] = 1;
+            const segment = segments[index];
+            const next = segment[0].key === point.key ? segment[1] : segment[0];
+            polyline.push({ x: next.x, y: next.y });
+            point = next;
+            index = byKey.get(next.key).find(other => !used[other]);
+        }
+        return polyline;
+    };
+    
+    // Open curves first (they start at an edge crossing used only once), then closed loops
+    segments.forEach((segment, index) => {
+        if (used[index]) return;
+        const openEnd = segment.find(point => byKey.get(point.key).length === 1);
+        if (openEnd) polylines.push(walk(index, openEnd));
+    });
+    segments.forEach((segment, index) => {
+        if (!used[index]) polylines.push(walk(index, segment[0]));
+    });
+    
+    return polylines;
+}
+
+function findContourIntersections(dxdtCells, dydtCells, resolution, bounds) {
+    // Contour segments never leave their grid cell, so only segments in the
+    // same or a neighbouring cell (for crossings exactly on a grid node) can cross
+    const intersections = [];
+    const mergeDistance = 1e-6 * Math.max(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin);
+    const epsilon = 1e-9;
+    
+    dxdtCells.forEach((dxdtSegments, cellIndex) => {
+        const i = cellIndex % resolution;
+        const j = Math.floor(cellIndex / resolution);
+        
+        for (let dj = -1; dj <= 1; dj++) {
+            for (let di = -1; di <= 1; di++) {
+                if (i + di < 0 || i + di >= resolution || j + dj < 0 || j + dj >= resolution) continue;
+                const dydtSegments = dydtCells.get((j + dj) * resolution + i + di);
+                if (!dydtSegments) continue;
+                
+                dxdtSegments.forEach(([p1, p2]) => {
+                    dydtSegments.forEach(([q1, q2]) => {
+                        const rx = p2.x - p1.x, ry = p2.y - p1.y;
+                        const sx = q2.x - q1.x, sy = q2.y - q1.y;
+                        const denominator = rx * sy - ry * sx;
+                        if (denominator === 0) return;
+                        
+                        const t = ((q1.x - p1.x) * sy - (q1.y - p1.y) * sx) / denominator;
+                        const u = ((q1.x - p1.x) * ry - (q1.y - p1.y) * rx) / denominator;
+                        if (t < -epsilon || t > 1 + epsilon || u < -epsilon || u > 1 + epsilon) return;
+                        
+                        const point = { x: p1.x + t * rx, y: p1.y + t * ry };
+                        if (!intersections.some(other => Math.hypot(other.x - point.x, other.y - point.y) < mergeDistance)) {
+                            intersections.push(point);
+                        }
+                    });
+                });
+            }
+        }
+    });
+    
+    return intersections;
+}
+
+function advanceParticle(particle, settings, f) {
+    // Advance a particle state { x, y, t, direction, targetTime, stepSize, active }
+    // by one step size worth of time; adaptive steps may cover several frames or
+    // take several per frame. Backward particles use negative steps, so their
+    // times run negative. The particle stops on leaving the finite numbers or the
+    // optional settings.bounds { xMin, xMax, yMin, yMax }. Returns the new state
+    // and the trajectory points added.
+    const integrator = Integrators[settings.integrator] || Integrators.rk4;
+    const maxStepsPerFrame = 1000;
+    const state = { ...particle };
+    const points = [];
+    if (!state.active) return { state, points };
+    
+    state.targetTime += state.direction * settings.stepSize;
+    if (!integrator.adaptive || state.stepSize === null) {
+        state.stepSize = state.direction * settings.stepSize;
+    }
+    
+    for (let i = 0; i < maxStepsPerFrame && state.direction * (state.targetTime - state.t) > 0; i++) {
+        const next = integrator.step(f, { x: state.x, y: state.y, t: state.t }, state.stepSize, settings);
+        
+        state.x = next.x;
+        state.y = next.y;
+        state.t = next.t;
+        state.stepSize = next.hNext;
+        points.push({ x: state.x, y: state.y, t: state.t });
+        
+        const bounds = settings.bounds;
+        if (!Number.isFinite(state.x) || !Number.isFinite(state.y) || (bounds &&
+            (state.x < bounds.xMin || state.x > bounds.xMax || state.y < bounds.yMin || state.y > bounds.yMax))) {
+            state.active = false;
+            break;
+        }
+    }
+    return { state, points };
+}
+
+function advanceOrbit(particle, settings, f) {
+    // Apply a map settings.iterationsPerFrame times to a particle state (as in
+    // advanceParticle, plus the startTime of its orbit); t counts iterations.
+    // The orbit ends after settings.maxIterations or on leaving the finite numbers.
+    const state = { ...particle };
+    const points = [];
+    
+    for (let i = 0; i < settings.iterationsPerFrame && state.active; i++) {
+        const next = f(state.x, state.y, state.t);
+        state.x = next.x;
+        state.y = next.y;
+        state.t += 1;
+        points.push({ x: state.x, y: state.y, t: state.t });
+        
+        if (!Number.isFinite(state.x) || !Number.isFinite(state.y) || state.t - state.startTime >= settings.maxIterations) {
+            state.active = false;
+        }
+    }
+    return { state, points };
+}
+
+function mapFunction(evaluate) {
+    // The equations of a map give the image point rather than a velocity
+    return (x, y, t) => {
+        const { dx, dy } = evaluate(x, y, t);
+        return { x: dx, y: dy };
+    };
+}
+
+function fieldFunction(system) {
+    // The field drawn for a system spec: a flow's vector field, or for a map the
+    // displacement f(x, y) - (x, y), which vanishes at the map's fixed points
+    const { evaluate } = createSystem(system.dxdt, system.dydt, system.parameters);
+    if (system.type !== 'map') return evaluate;
+    return (x, y, t) => {
+        const { dx, dy } = evaluate(x, y, t);
+        return { dx: dx - x, dy: dy - y };
+    };
+}
+
+function* integrateParticles(f, particles, settings, advance = advanceParticle) {
+    const updates = [];
+    for (let i = 0; i < particles.length; i++) {
+        updates.push(advance(particles[i], settings, f));
+        yield (i + 1) / particles.length;
+    }
+    return updates;
+}
+
+function classifyEndState(f, x0, y0, t0, bounds, transientTime, sampleTime) {
+    // Integrate one initial condition past its transient and describe where
+    // it ends up: an equilibrium, a cycle (by the box it sweeps), a divergence,
+    // or a trajectory still drifting when the sample window closes
+    const spanX = bounds.xMax - bounds.xMin;
+    const spanY = bounds.yMax - bounds.yMin;
+    const span = Math.max(spanX, spanY);
+    const centerX = (bounds.xMin + bounds.xMax) / 2;
+    const centerY = (bounds.yMin + bounds.yMax) / 2;
+    const options = { absoluteTolerance: 1e-6 * span, relativeTolerance: 1e-5 };
+    const maxSteps = 20000;
+    const settleSpeed = 1e-4 * span;
+    const tolerance = 1e-2 * span;
+    
+    let state = { x: x0, y: y0, t: t0 };
+    let h = 0.05;
+    let steps = 0;
+    
+    // Step until the given time; stops early on escape or on reaching rest
+    const advance = (until, maxStep, onPoint) => {
+        while (state.t < until) {
+            if (++steps > maxSteps) return 'unconverged';
+            const next = Integrators.rk45.step(f, state, Math.min(h, maxStep, until - state.t), options);
+            state = { x: next.x, y: next.y, t: next.t };
+            h = next.hNext;
+            if (!Number.isFinite(state.x) || !Number.isFinite(state.y) ||
+                Math.abs(state.x - centerX) > 10 * spanX || Math.abs(state.y - centerY) > 10 * spanY) {
+                return 'diverged';
+            }
+            if (onPoint) onPoint(state);
+            const { dx, dy } = f(state.x, state.y, state.t);
+            if (Math.hypot(dx, dy) < settleSpeed) return 'settled';
+        }
+        return null;
+    };
+    
+    const atRest = () => ({ status: 'equilibrium', x: state.x, y: state.y });
+    let outcome = advance(t0 + transientTime, 0.5);
+    if (outcome === 'settled') return atRest();
+    if (outcome) return { status: outcome };
+    
+    // Track the box swept in each half of the sample window with short steps
+    // so the extremes are resolved; a cycle sweeps the same box twice, a slow
+    // spiral a shrinking one
+    const emptyBox = () => ({ xMin: Infinity, xMax: -Infinity, yMin: Infinity, yMax: -Infinity });
+    const halves = [emptyBox(), emptyBox()];
+    const middle = t0 + transientTime + sampleTime / 2;
+    outcome = advance(t0 + transientTime + sampleTime, 0.1, point => {
+        const box = halves[point.t < middle ? 0 : 1];
+        box.xMin = Math.min(box.xMin, point.x);
+        box.xMax = Math.max(box.xMax, point.x);
+        box.yMin = Math.min(box.yMin, point.y);
+        box.yMax = Math.max(box.yMax, point.y);
+    });
+    if (outcome === 'settled') return atRest();
+    if (outcome) return { status: outcome };
+    
+    const [first, second] = halves;
+    const box = {
+        xMin: Math.min(first.xMin, second.xMin),
+        xMax: Math.max(first.xMax, second.xMax),
+        yMin: Math.min(first.yMin, second.yMin),
+        yMax: Math.max(first.yMax, second.yMax)
+    };
+    if (box.xMax - box.xMin < tolerance && box.yMax - box.yMin < tolerance) {
+        return { status: 'equilibrium', x: (box.xMin + box.xMax) / 2, y: (box.yMin + box.yMax) / 2 };
+    }
+    const size = Math.max(box.xMax - box.xMin, box.yMax - box.yMin);
+    const repeats = ['xMin', 'xMax', 'yMin', 'yMax'].every(side => Math.abs(first[side] - second[side]) < 0.05 * size);
+    if (repeats) return { status: 'cycle', ...box };
+    return { status: 'unconverged' };
+}
+
+function* computeBasins(f, bounds, resolution, transientTime, sampleTime, t0) {
+    // Classify the center of every cell of a resolution x resolution grid,
+    // row by row from the bottom (yMin) up
+    const cells = [];
+    const cellWidth = (bounds.xMax - bounds.xMin) / resolution;
+    const cellHeight = (bounds.yMax - bounds.yMin) / resolution;
+    for (let j = 0; j < resolution; j++) {
+        const y = bounds.yMin + (j + 0.5) * cellHeight;
+        for (let i = 0; i < resolution; i++) {
+            const x = bounds.xMin + (i + 0.5) * cellWidth;
+            cells.push(classifyEndState(f, x, y, t0, bounds, transientTime, sampleTime));
+            yield (j * resolution + i + 1) / (resolution * resolution);
+        }
+    }
+    return { bounds, resolution, cells };
+}
+
+// Jobs the worker (or the main-thread fallback) can run. Each returns a
+// generator that yields its progress in [0, 1] and returns the result.
+// The system travels as { dxdt, dydt, parameters, time, type } with string
+// equations; type 'map' marks a discrete-time map, anything else a flow.
+const SolverJobs = {
+    field: ({ system, bounds, density }) => {
+        const evaluate = fieldFunction(system);
+        return sampleFlowField((x, y) => evaluate(x, y, system.time), bounds, density);
+    },
+    nullclines: ({ system, bounds, resolution }) => {
+        const evaluate = fieldFunction(system);
+        return traceNullclines((x, y) => evaluate(x, y, system.time), bounds, resolution);
+    },
+    integrate: ({ system, particles, settings }) => {
+        const { evaluate } = createSystem(system.dxdt, system.dydt, system.parameters);
+        if (system.type === 'map') {
+            return integrateParticles(mapFunction(evaluate), particles, settings, advanceOrbit);
+        }
+        return integrateParticles(evaluate, particles, settings);
+    },
+    basins: ({ system, bounds, resolution, transientTime, sampleTime }) => {
+        const { evaluate } = createSystem(system.dxdt, system.dydt, system.parameters);
+        return computeBasins(evaluate, bounds, resolution, transientTime, sampleTime, system.time);
+    }
+};
+
+function runSolverJob(type, payload, handlers) {
+    // Step the job in slices of about 15 ms, returning to the event loop in
+    // between so cancellations (and, on the main thread, input) get through
+    const { onProgress, onDone, onError, isCancelled } = handlers;
+    let job;
+    try {
+        job = SolverJobs[type](payload);
+    } catch (error) {
+        onError(error);
+        return;
+    }
+    
+    const slice = () => {
+        if (isCancelled()) return;
+        const start = Date.now();
+        try {
+            for (;;) {
+                const { value, done } = job.next();
+                if (done) {
+                    onDone(value);
+                    return;
+                }
+                if (Date.now() - start > 15) {
+                    onProgress(value);
+                    setTimeout(slice, 0);
+                    return;
+                }
+            }
+        } catch (error) {
+            onError(error);
+        }
+    };
+    slice();
+}
+
+// Node: require('./solver.js')
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Integrators,
+        createSystem,
+        integrate,
+        iterate,
+        sampleField,
+        nullclines,
+        basinsOfAttraction,
+        classifyEndState,
+        advanceParticle,
+        advanceOrbit
+    };
+}
@@ -0,0 +1,196 @@
+// Solver core tests: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSystem, integrate, iterate, sampleField, nullclines, basinsOfAttraction, classifyEndState, advanceParticle, advanceOrbit } = require('../solver.js');
+
+let hasMathjs = true;
+try {
+    require.resolve('mathjs');
+} catch (error) {
+    hasMathjs = false;
+}
+
+// Linear spiral sink dx/dt = sigma x - y, dy/dt = x + sigma y
+const sigma = -0.1;
+const spiral = createSystem(
+    (x, y, t, p) => p.sigma * x - y,
+    (x, y, t, p) => x + p.sigma * y,
+    { sigma }
+);
+
+function spiralSolution(x0, y0, t) {
+    const decay = Math.exp(sigma * t);
+    return {
+        x: decay * (x0 * Math.cos(t) - y0 * Math.sin(t)),
+        y: decay * (x0 * Math.sin(t) + y0 * Math.cos(t))
+    };
+}
+
+function endError(points, x0, y0) {
+    const end = points[points.length - 1];
+    const exact = spiralSolution(x0, y0, end.t);
+    return Math.hypot(end.x - exact.x, end.y - exact.y);
+}
+
+test('integrate ends exactly at t0 + duration', () => {
+    const points = integrate(spiral, 1, 0, { stepSize: 0.3, duration: 1 });
+    assert.strictEqual(points[0].t, 0);
+    assert.ok(Math.abs(points[points.length - 1].t - 1) < 1e-12);
+});
+
+test('RK4 matches the analytic spiral sink solution', () => {
+    const points = integrate(spiral, 1, 0.5, { integrator: 'rk4', stepSize: 0.01, duration: 10 });
+    assert.ok(endError(points, 1, 0.5) < 1e-9);
+});
+
+test('RK4 error is fourth order in the step size', () => {
+    const coarse = endError(integrate(spiral, 1, 0, { integrator: 'rk4', stepSize: 0.2, duration: 5 }), 1, 0);
+    const fine = endError(integrate(spiral, 1, 0, { integrator: 'rk4', stepSize: 0.1, duration: 5 }), 1, 0);
+    const order = Math.log2(coarse / fine);
+    assert.ok(order > 3.7 && order < 4.3, `observed order ${order}`);
+});
+
+test('Euler error is first order in the step size', () => {
+    const coarse = endError(integrate(spiral, 1, 0, { integrator: 'euler', stepSize: 0.002, duration: 5 }), 1, 0);
+    const fine = endError(integrate(spiral, 1, 0, { integrator: 'euler', stepSize: 0.001, duration: 5 }), 1, 0);
+    const order = Math.log2(coarse / fine);
+    assert.ok(order > 0.9 && order < 1.1, `observed order ${order}`);
+});
+
+test('RK45 meets its tolerance with few steps', () => {
+    const points = integrate(spiral, 1, 0, {
+        integrator: 'rk45',
+        stepSize: 0.1,
+        duration: 10,
+        absoluteTolerance: 1e-9,
+        relativeTolerance: 1e-9
+    });
+    assert.ok(endError(points, 1, 0) < 1e-7);
+    assert.ok(points.length < 500, `${points.length} steps`);
+});
+
+test('backward integration retraces the forward trajectory', () => {
+    const forward = integrate(spiral, 1, 0, { duration: 3 });
+    const end = forward[forward.length - 1];
+    const backward = integrate(spiral, end.x, end.y, { t0: end.t, duration: -3 });
+    const start = backward[backward.length - 1];
+    assert.ok(Math.abs(start.t) < 1e-12);
+    assert.ok(Math.hypot(start.x - 1, start.y) < 1e-9);
+});
+
+test('leapfrog keeps the harmonic oscillator energy bounded', () => {
+    const oscillator = createSystem((x, y) => y, (x, y) => -x);
+    const points = integrate(oscillator, 1, 0, { integrator: 'leapfrog', stepSize: 0.1, duration: 1000 });
+    const drift = Math.max(...points.map(({ x, y }) => Math.abs((x * x + y * y) / 2 - 0.5)));
+    assert.ok(drift < 0.01, `energy drift ${drift}`);
+});
+
+test('unknown integrators are rejected', () => {
+    assert.throws(() => integrate(spiral, 1, 0, { integrator: 'midpoint' }), /Unknown integrator/);
+});
+
+test('sampleField covers the grid and orders the magnitudes', () => {
+    const bounds = { xMin: -1, xMax: 1, yMin: -1, yMax: 1 };
+    const field = sampleField(spiral, bounds, 10);
+    // The origin is an equilibrium and has no direction, so it is left out
+    assert.strictEqual(field.samples.length, 11 * 11 - 1);
+    assert.ok(field.minMagnitude <= field.medianMagnitude && field.medianMagnitude <= field.maxMagnitude);
+    const corner = field.samples.find(sample => sample.x === 1 && sample.y === 1);
+    assert.ok(Math.abs(corner.dx - (sigma - 1)) < 1e-12 && Math.abs(corner.dy - (1 + sigma)) < 1e-12);
+});
+
+test('nullclines of a parabola and a line cross at the equilibria', () => {
+    // dx/dt = y - x^2 vanishes on a parabola, dy/dt = x - y on the diagonal
+    const system = createSystem((x, y) => y - x * x, (x, y) => x - y);
+    const result = nullclines(system, { xMin: -2, xMax: 2, yMin: -2, yMax: 2 }, 100);
+    assert.ok(result.dxdt.length >= 1 && result.dydt.length >= 1);
+    const found = (x, y) => result.intersections.some(point => Math.hypot(point.x - x, point.y - y) < 1e-3);
+    assert.strictEqual(result.intersections.length, 2);
+    assert.ok(found(0, 0) && found(1, 1));
+});
+
+test('the bistable system x - x^3 splits into two basins at x = 0', () => {
+    const bistable = createSystem((x, y) => x - x * x * x, (x, y) => -y);
+    const bounds = { xMin: -2, xMax: 2, yMin: -2, yMax: 2 };
+    const { resolution, cells } = basinsOfAttraction(bistable, bounds, 8, { transientTime: 20, sampleTime: 10 });
+    assert.strictEqual(cells.length, resolution * resolution);
+    cells.forEach((cell, k) => {
+        const x = bounds.xMin + (k % resolution + 0.5) * (bounds.xMax - bounds.xMin) / resolution;
+        assert.strictEqual(cell.status, 'equilibrium');
+        assert.ok(Math.abs(cell.x - Math.sign(x)) < 1e-2 && Math.abs(cell.y) < 1e-2, `cell ${k} ended at (${cell.x}, ${cell.y})`);
+    });
+});
+
+test('end states escaping the view are classified as diverged', () => {
+    const saddle = createSystem((x, y) => x, (x, y) => -y);
+    const bounds = { xMin: -1, xMax: 1, yMin: -1, yMax: 1 };
+    assert.deepStrictEqual(classifyEndState(saddle.evaluate, 0.5, 0.5, 0, bounds, 20, 10), { status: 'diverged' });
+    const stable = classifyEndState(saddle.evaluate, 0, 0.5, 0, bounds, 20, 10);
+    assert.strictEqual(stable.status, 'equilibrium');
+    assert.ok(Math.hypot(stable.x, stable.y) < 1e-2);
+});
+
+test('particles stop on leaving the simulation bounds', () => {
+    const f = (x, y) => ({ dx: x, dy: -y });
+    const settings = { integrator: 'rk4', stepSize: 0.1, bounds: { xMin: -3, xMax: 3, yMin: -3, yMax: 3 } };
+    let state = { x: 0.5, y: 0, t: 0, direction: 1, targetTime: 0, stepSize: null, active: true };
+    let frames = 0;
+    while (state.active && frames < 1000) {
+        state = advanceParticle(state, settings, f).state;
+        frames++;
+    }
+    assert.strictEqual(state.active, false);
+    assert.ok(state.x > 3 && state.x < 3.5, `stopped at x = ${state.x}`);
+    assert.ok(frames < 30);
+});
+
+test('iterate follows the Hénon map and counts iterations in t', () => {
+    const henon = createSystem((x, y, t, p) => 1 - p.a * x * x + y, (x, y, t, p) => p.b * x, { a: 1.4, b: 0.3 });
+    const points = iterate(henon, 0.1, 0.2, { n0: 5, iterations: 3 });
+    assert.strictEqual(points.length, 4);
+    assert.deepStrictEqual(points.map(point => point.t), [5, 6, 7, 8]);
+    let x = 0.1;
+    let y = 0.2;
+    for (let n = 1; n <= 3; n++) {
+        [x, y] = [1 - 1.4 * x * x + y, 0.3 * x];
+        assert.ok(Math.abs(points[n].x - x) < 1e-15 && Math.abs(points[n].y - y) < 1e-15);
+    }
+});
+
+test('orbits stop at the iteration limit and on escaping to infinity', () => {
+    const f = (x, y) => ({ x: 2 * x, y: y * y });
+    const particle = { x: 1, y: 2, t: 10, startTime: 8, active: true };
+    const limited = advanceOrbit(particle, { iterationsPerFrame: 5, maxIterations: 4 }, f);
+    assert.strictEqual(limited.points.length, 2);
+    assert.strictEqual(limited.state.t, 12);
+    assert.strictEqual(limited.state.active, false);
+    
+    const escaping = advanceOrbit({ ...particle, startTime: 10 }, { iterationsPerFrame: 50, maxIterations: 1000 }, f);
+    assert.strictEqual(escaping.state.active, false);
+    assert.ok(escaping.points.length < 50);
+});
+
+// The page evaluates string equations, so CI must not skip this test
+test('string equations are evaluated with math.js', { skip: !hasMathjs && !process.env.CI && 'mathjs is not installed (npm install)' }, () => {
+    const system = createSystem('sigma * x - y', 'x + sigma * y + 0 * t', { sigma });
+    const points = integrate(system, 1, 0.5, { stepSize: 0.01, duration: 10 });
+    assert.ok(endError(points, 1, 0.5) < 1e-9);
+    assert.deepStrictEqual(system.evaluate(1, 2, 0), { dx: sigma - 2, dy: 1 + 2 * sigma });
+});
+
+test('the polar Hopf field converted to Cartesian has an equilibrium at the origin', { skip: !hasMathjs && !process.env.CI && 'mathjs is not installed (npm install)' }, () => {
+    // dr/dt = mu r - r^3, dtheta/dt = omega in the form the visualizer sends to the worker
+    const r = 'sqrt(x ^ 2 + y ^ 2)';
+    const dr = `(mu * ${r} - ${r} ^ 3)`;
+    const system = createSystem(
+        `(x == 0 and y == 0) ? ((${dr} == 0) ? 0 : NaN) : (${dr} * x / ${r} - omega * y)`,
+        `(x == 0 and y == 0) ? ((${dr} == 0) ? 0 : NaN) : (${dr} * y / ${r} + omega * x)`,
+        { mu: -0.5, omega: 1 }
+    );
+    assert.deepStrictEqual(system.evaluate(0, 0), { dx: 0, dy: 0 });
+    const points = integrate(system, 0, 0, { integrator: 'rk4', stepSize: 0.1, duration: 1 });
+    assert.ok(points.every(point => point.x === 0 && point.y === 0));
+    // Elsewhere it is the Cartesian normal form
+    const { dx, dy } = system.evaluate(0.6, -0.8);
+    assert.ok(Math.abs(dx - (-0.5 * 0.6 + 0.8 - 0.6)) < 1e-12 && Math.abs(dy - (0.6 - 0.5 * -0.8 + 0.8)) < 1e-12);
+});